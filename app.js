@@ -1,27 +1,66 @@
 import express from "express";
-import morgan from "morgan";
 import createError from "http-errors";
-import "./config/db.config.js";
+import swaggerUiPath from "swagger-ui-dist/absolute-path.js";
+import { config } from "./config/env.config.js";
+import { API_PREFIX } from "./config/api.config.js";
+import { connectDatabase } from "./config/db.config.js";
 import router from "./config/routes.config.js";
+import docsController from "./controllers/docs.controller.js";
+import healthController from "./controllers/health.controller.js";
 import { errorHandler } from "./middlewares/error-handler.middleware.js";
+import { requestId } from "./middlewares/request-id.middleware.js";
+import { requestLogger } from "./middlewares/request-logger.middleware.js";
+import { legacyRoutes } from "./middlewares/legacy-routes.middleware.js";
+import { schedulePurge } from "./services/trash.service.js";
+import { handleShutdownSignals } from "./services/shutdown.service.js";
+import { logger } from "./services/logger.service.js";
 
 const app = express();
+app.set("trust proxy", config.trustProxy);
+app.use(requestId);
+
+// Sondas de liveness y readiness, públicas y antes del log para no llenarlo
+app.get("/health", healthController.health);
+app.get("/ready", healthController.ready);
+
+app.use(requestLogger);
 app.use(express.json());
-app.use(morgan("dev"));
-app.use(router);
+
+// Documentación de la API, pública y fuera del router documentado
+app.get("/openapi.json", docsController.openapi);
+app.get("/docs", docsController.ui);
+app.use("/docs/assets", express.static(swaggerUiPath(), { index: false }));
+
+// Toda la API cuelga de /api/v1. Las rutas anteriores (/movies, /api/users…) se
+// reescriben a su equivalente y responden con cabeceras de obsolescencia.
+app.use(legacyRoutes);
+app.use(API_PREFIX, router);
 
 // Catch-all 404 para rutas no definidas
 app.use((req, res, next) => {
-  next(createError(404, "Route not found"));
+  next(createError(404, "Route not found", { code: "ROUTE_NOT_FOUND" }));
 });
 
 // Middleware centralizado de errores
 app.use(errorHandler);
 
-if (process.env.NODE_ENV !== "test") {
-  app.listen(3000, () => {
-    console.log("Server is running on port 3000");
+// Los tests conectan por su cuenta y usan supertest sin levantar el servidor.
+// Si MongoDB no responde tras los reintentos el proceso termina con error.
+if (config.env !== "test") {
+  try {
+    await connectDatabase();
+  } catch (err) {
+    logger.error("could not connect to MongoDB", { error: err });
+    process.exit(1);
+  }
+
+  const purgeTimer = schedulePurge();
+
+  const server = app.listen(config.port, () => {
+    logger.info("server listening", { port: config.port });
   });
+
+  handleShutdownSignals(server, { beforeShutdown: () => clearInterval(purgeTimer) });
 }
 
 export default app;
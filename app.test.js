@@ -1,12 +1,34 @@
-import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from "vitest";
 import request from "supertest";
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
 import app from "./app.js";
 import Movie from "./models/movie.model.js";
+import User from "./models/user.model.js";
+import Rating from "./models/rating.model.js";
+import WatchlistItem from "./models/watchlist-item.model.js";
+import Viewing from "./models/viewing.model.js";
+import {
+  createMemoryStore,
+  getStore,
+  setStore,
+} from "./services/rate-limit-store.service.js";
+import { purgeExpired } from "./services/trash.service.js";
+import { connectDatabase } from "./config/db.config.js";
+import { hashToken } from "./utils/tokens.js";
+import { loadConfig } from "./config/env.config.js";
+import { handleShutdownSignals, shutdown } from "./services/shutdown.service.js";
+import {
+  createMemoryDestination,
+  getDestination,
+  logger,
+  setDestination,
+  setLogLevel,
+} from "./services/logger.service.js";
 
 let movie1, movie2;
 let sessionCookie;
+let adminCookie;
 let user1;
 const fakeId = new mongoose.Types.ObjectId();
 
@@ -17,7 +39,31 @@ const validUser = {
   birthDate: "1990-01-15",
 };
 
+// Hace login y devuelve la cookie de sesión lista para .set("Cookie", ...)
+async function loginAs(email, password = validUser.password) {
+  const res = await request(app).post("/api/users/login").send({ email, password });
+  const cookies = res.headers["set-cookie"];
+  const header = Array.isArray(cookies)
+    ? cookies.find((c) => c.startsWith("sessionId="))
+    : cookies;
+  return header.split(";")[0];
+}
+
+// Sigue el enlace del último correo de verificación enviado a `email`
+async function verifyEmail(email) {
+  const { getTransport } = await import("./services/mailer.service.js");
+  const message = getTransport().messages.findLast(
+    (m) => m.to === email && m.text.includes("/verify-email?token="),
+  );
+  const link = message.text.match(/\/api\/v1\/users\/verify-email\?token=\S+/)[0];
+  return request(app).get(link);
+}
+
 beforeAll(async () => {
+  // Sin reintentos y con un intento corto: si MongoDB no está, el error de conexión
+  // aparece antes de que venza el timeout del hook (10 s)
+  await connectDatabase({ retries: 0, serverSelectionTimeoutMs: 5000 });
+
   const collections = mongoose.connection.collections;
   for (const key in collections) {
     await collections[key].deleteMany({});
@@ -27,9 +73,28 @@ beforeAll(async () => {
     { title: "The Shawshank Redemption", year: "1994", director: "Frank Darabont" },
     { title: "The Godfather", year: "1972", director: "Francis Ford Coppola" },
   ]);
+
+  // Solo los admins pueden crear, editar y borrar películas
+  await User.create({
+    ...validUser,
+    email: "admin@test.com",
+    role: "admin",
+    emailVerified: true,
+  });
+  adminCookie = await loginAs("admin@test.com");
+});
+
+// Cada test empieza con los contadores de rate limiting a cero
+beforeEach(() => {
+  setStore(createMemoryStore());
 });
 
 afterAll(async () => {
+  // Si no se llegó a conectar, las operaciones esperarían en cola hasta el timeout
+  if (mongoose.connection.readyState !== mongoose.ConnectionStates.connected) {
+    return;
+  }
+
   const collections = mongoose.connection.collections;
   for (const key in collections) {
     await collections[key].deleteMany({});
@@ -147,6 +212,33 @@ describe("Iteración 2: Registro con contraseña cifrada", () => {
   });
 });
 
+// =============================================
+// Verificación de email
+// =============================================
+
+describe("Verificación de email", () => {
+  it("registration should leave the user unverified and send a verification email", async () => {
+    const { getTransport } = await import("./services/mailer.service.js");
+    const message = getTransport().messages.find((m) => m.to === validUser.email);
+
+    expect(user1.emailVerified).toBe(false);
+    expect(message.text).toMatch(/\/api\/v1\/users\/verify-email\?token=/);
+  });
+
+  it("GET /api/users/verify-email should return 400 for a tampered token", async () => {
+    const res = await request(app).get("/api/users/verify-email?token=abc.def");
+
+    expect(res.status).toBe(400);
+  });
+
+  it("GET /api/users/verify-email should verify the email with the link", async () => {
+    const res = await verifyEmail(validUser.email);
+
+    expect(res.status).toBe(204);
+    expect((await User.findById(user1.id)).emailVerified).toBe(true);
+  });
+});
+
 // =============================================
 // Iteración 3 & 4: Login
 // =============================================
@@ -174,6 +266,15 @@ describe("Iteración 4: Login", () => {
     sessionCookie = sessionCookieHeader.split(";")[0];
   });
 
+  it("the session cookie should be a random token stored only as a hash", async () => {
+    const Session = (await import("./models/session.model.js")).default;
+    const token = sessionCookie.split("=")[1];
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(await Session.exists({ tokenHash: token })).toBeNull();
+    expect(await Session.exists({ tokenHash: hashToken(token) })).not.toBeNull();
+  });
+
   it("POST /api/users/login should return 400 when email is missing", async () => {
     const res = await request(app)
       .post("/api/users/login")
@@ -224,7 +325,7 @@ describe("Iteración 5: Middleware de autenticación", () => {
       .set("Cookie", sessionCookie);
 
     expect(res.status).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
+    expect(Array.isArray(res.body.data)).toBe(true);
   });
 
   it("GET /ratings without cookie should return 401", async () => {
@@ -266,6 +367,20 @@ describe("Iteración 5: Middleware de autenticación", () => {
     expect(res.status).toBe(401);
   });
 
+  it("should only read the cookie named exactly sessionId", async () => {
+    const token = sessionCookie.split("=")[1];
+
+    const other = await request(app)
+      .get("/api/users/profile")
+      .set("Cookie", `xsessionId=${token}`);
+    const among = await request(app)
+      .get("/api/users/profile")
+      .set("Cookie", `theme=dark; sessionId=${token}`);
+
+    expect(other.status).toBe(401);
+    expect(among.status).toBe(200);
+  });
+
   it("GET /api/users without cookie should return 401", async () => {
     const res = await request(app).get("/api/users");
 
@@ -338,6 +453,39 @@ describe("Iteración 6: Logout", () => {
   });
 });
 
+describe("Expiración de sesión", () => {
+  it("should return 401 when the session has been idle for too long", async () => {
+    const Session = (await import("./models/session.model.js")).default;
+    const session = await Session.create({
+      user: user1.id,
+      tokenHash: hashToken("expired-session"),
+      lastActivityAt: new Date(Date.now() - 48 * 60 * 60 * 1000),
+    });
+
+    const res = await request(app)
+      .get("/api/users/profile")
+      .set("Cookie", "sessionId=expired-session");
+
+    expect(res.status).toBe(401);
+    expect(await Session.findById(session.id)).toBeNull();
+  });
+
+  it("should return 401 when the session is past its absolute expiry", async () => {
+    const Session = (await import("./models/session.model.js")).default;
+    await Session.create({
+      user: user1.id,
+      tokenHash: hashToken("expired-session"),
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    const res = await request(app)
+      .get("/api/users/profile")
+      .set("Cookie", "sessionId=expired-session");
+
+    expect(res.status).toBe(401);
+  });
+});
+
 // =============================================
 // CRUD Movies (con autenticación)
 // =============================================
@@ -349,8 +497,8 @@ describe("Movies (autenticado)", () => {
       .set("Cookie", sessionCookie);
 
     expect(res.status).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
-    expect(res.body.length).toBeGreaterThan(0);
+    expect(Array.isArray(res.body.data)).toBe(true);
+    expect(res.body.data.length).toBeGreaterThan(0);
   });
 
   it("each movie should have an id and title", async () => {
@@ -358,7 +506,7 @@ describe("Movies (autenticado)", () => {
       .get("/movies")
       .set("Cookie", sessionCookie);
 
-    res.body.forEach((movie) => {
+    res.body.data.forEach((movie) => {
       expect(movie).toHaveProperty("id");
       expect(movie).toHaveProperty("title");
     });
@@ -385,7 +533,7 @@ describe("Movies (autenticado)", () => {
   it("POST /movies should create a new movie and return 201", async () => {
     const res = await request(app)
       .post("/movies")
-      .set("Cookie", sessionCookie)
+      .set("Cookie", adminCookie)
       .send({ title: "Arrival", year: "2016", director: "Denis Villeneuve" });
 
     expect(res.status).toBe(201);
@@ -393,25 +541,311 @@ describe("Movies (autenticado)", () => {
     expect(res.body.title).toBe("Arrival");
   });
 
+  it("POST /movies should return 409 for a movie with the same title and year", async () => {
+    await Movie.init();
+
+    const res = await request(app)
+      .post("/movies")
+      .set("Cookie", adminCookie)
+      .send({ title: "Arrival", year: "2016", director: "Someone Else" });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("DUPLICATE_KEY");
+  });
+
   it("PATCH /movies/:id should update an existing movie", async () => {
     const res = await request(app)
       .patch(`/movies/${movie1.id}`)
-      .set("Cookie", sessionCookie)
+      .set("Cookie", adminCookie)
       .send({ rate: "9.9" });
 
     expect(res.status).toBe(200);
-    expect(res.body.rate).toBe("9.9");
+    expect(res.body.rate).toBe(9.9);
+  });
+
+  it("POST /movies should store year, duration and rate as numbers", async () => {
+    const res = await request(app)
+      .post("/movies")
+      .set("Cookie", adminCookie)
+      .send({
+        title: "Interstellar",
+        year: "2014",
+        director: "Christopher Nolan",
+        duration: "2h 49min",
+        rate: "8.6",
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.year).toBe(2014);
+    expect(res.body.duration).toBe(169);
+    expect(res.body.durationText).toBe("2h 49min");
+    expect(res.body.rate).toBe(8.6);
+  });
+
+  it("POST /movies should return 400 for out of range or malformed numbers", async () => {
+    const invalid = [
+      { year: 1500 },
+      { rate: 11 },
+      { duration: "a while" },
+    ];
+
+    for (const fields of invalid) {
+      const res = await request(app)
+        .post("/movies")
+        .set("Cookie", adminCookie)
+        .send({ title: "Broken", year: 2000, director: "Nobody", ...fields });
+
+      expect(res.status).toBe(400);
+    }
   });
 
   it("DELETE /movies/:id should return 404 for non-existent movie", async () => {
     const res = await request(app)
       .delete(`/movies/${fakeId}`)
-      .set("Cookie", sessionCookie);
+      .set("Cookie", adminCookie);
 
     expect(res.status).toBe(404);
   });
 });
 
+// =============================================
+// Movies — filtros, orden y paginación
+// =============================================
+
+describe("Movies — filtros, orden y paginación", () => {
+  const titles = (res) => res.body.data.map((movie) => movie.title);
+
+  beforeAll(async () => {
+    await Movie.create([
+      {
+        title: "Filter Alpha",
+        year: "2001",
+        director: "Filter Director",
+        genre: ["Drama", "Crime"],
+        rate: "7.5",
+      },
+      {
+        title: "Filter Beta",
+        year: "2005",
+        director: "Filter Director",
+        genre: ["Drama"],
+        rate: "8.5",
+      },
+      {
+        title: "Filter Gamma",
+        year: "2010",
+        director: "Other Director",
+        genre: ["Crime", "Thriller"],
+        rate: "6.0",
+      },
+    ]);
+  });
+
+  it("GET /movies should return a paginated envelope", async () => {
+    const res = await request(app)
+      .get("/movies?limit=2")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.total).toBeGreaterThanOrEqual(5);
+    expect(res.body).toMatchObject({ page: 1, limit: 2, previous: null });
+    expect(res.body.next).toMatch(/page=2/);
+  });
+
+  it("GET /movies?page=2 should link back to the previous page", async () => {
+    const res = await request(app)
+      .get("/movies?limit=2&page=2")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.page).toBe(2);
+    expect(res.body.previous).toMatch(/page=1/);
+  });
+
+  it("should filter by any of several genres", async () => {
+    const res = await request(app)
+      .get("/movies?title=filter&genre=Drama,Thriller&sort=title")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(["Filter Alpha", "Filter Beta", "Filter Gamma"]);
+  });
+
+  it("should filter by all of several genres", async () => {
+    const res = await request(app)
+      .get("/movies?genre=Drama&genre=Crime&genreMatch=all")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(["Filter Alpha"]);
+  });
+
+  it("should filter by genre ignoring case", async () => {
+    const res = await request(app)
+      .get("/movies?title=filter&genre=drama,THRILLER&sort=title")
+      .set("Cookie", sessionCookie);
+    const exported = await request(app)
+      .get("/movies/export?genre=crime&genreMatch=all")
+      .set("Cookie", sessionCookie)
+      .set("Accept", "text/csv");
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(["Filter Alpha", "Filter Beta", "Filter Gamma"]);
+    expect(res.body.total).toBe(3);
+    expect(exported.text).toContain("Filter Gamma");
+  });
+
+  it("should filter by director ignoring case", async () => {
+    const res = await request(app)
+      .get("/movies?director=filter%20director&sort=title")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(["Filter Alpha", "Filter Beta"]);
+  });
+
+  it("should filter by year range and minimum rate", async () => {
+    const res = await request(app)
+      .get("/movies?title=filter&yearFrom=2003&yearTo=2012&minRate=7&sort=title")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(["Filter Beta"]);
+  });
+
+  it("should sort by several fields", async () => {
+    const res = await request(app)
+      .get("/movies?title=filter&sort=director,-year")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(["Filter Beta", "Filter Alpha", "Filter Gamma"]);
+  });
+
+  it("should return 400 for an unknown query parameter", async () => {
+    const res = await request(app)
+      .get("/movies?foo=bar")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(400);
+  });
+
+  it("should return 400 for malformed query parameters", async () => {
+    for (const query of ["page=abc", "limit=1000", "sort=password", "yearFrom=soon"]) {
+      const res = await request(app)
+        .get(`/movies?${query}`)
+        .set("Cookie", sessionCookie);
+
+      expect(res.status).toBe(400);
+    }
+  });
+});
+
+// =============================================
+// Importación del catálogo
+// =============================================
+
+describe("Importación del catálogo", () => {
+  const records = [
+    { title: "The Godfather", year: "1972", director: "Francis Ford Coppola" },
+    {
+      title: "The Godfather",
+      year: "1972",
+      director: "Francis Ford Coppola",
+      duration: "2h 55min",
+    },
+    { title: "Seeded Movie", year: "1999", director: "Seeder", rate: "7.0" },
+    { title: "Movie Without Year", director: "Seeder" },
+  ];
+
+  it("dry-run should report what would happen without writing", async () => {
+    const { importMovies } = await import("./services/movie-import.service.js");
+    const report = await importMovies(records, { dryRun: true });
+
+    expect(report.results.map((result) => result.status)).toEqual([
+      "skipped",
+      "updated",
+      "created",
+      "rejected",
+    ]);
+    expect(report.results[3].errors).toHaveProperty("year");
+    expect(await Movie.findOne({ title: "Seeded Movie" })).toBeNull();
+  });
+
+  it("should upsert by title and year and keep going after invalid records", async () => {
+    const { importMovies } = await import("./services/movie-import.service.js");
+    const report = await importMovies(records);
+
+    expect(report.summary).toMatchObject({
+      created: 1,
+      updated: 1,
+      skipped: 1,
+      rejected: 1,
+    });
+
+    const godfathers = await Movie.find({ title: "The Godfather" });
+    expect(godfathers).toHaveLength(1);
+    expect(godfathers[0].duration).toBe(175);
+    expect(await Movie.findOne({ title: "Seeded Movie" })).not.toBeNull();
+  });
+
+  it("dry-run with replace should count trashed movies and repeated rows as updates", async () => {
+    const { importMovies } = await import("./services/movie-import.service.js");
+    const trashedMovie = await Movie.create({
+      title: "Trashed Before Import",
+      year: 1990,
+      director: "Someone",
+      deletedAt: new Date(),
+    });
+    const [active, trashed] = await Promise.all([
+      Movie.countDocuments(),
+      Movie.countDocuments({ deletedAt: { $ne: null } }),
+    ]);
+
+    const report = await importMovies(records, { dryRun: true, replace: true });
+    await trashedMovie.deleteOne();
+
+    expect(trashed).toBeGreaterThan(0);
+    expect(report.summary.deleted).toBe(active + trashed);
+    expect(report.results.map((result) => result.status)).toEqual([
+      "created",
+      "updated",
+      "created",
+      "rejected",
+    ]);
+    expect(report.results[1].id).toBe(report.results[0].id);
+    expect(await Movie.countDocuments()).toBe(active);
+  });
+
+  it("concurrent imports should not duplicate a movie", async () => {
+    const { importMovies } = await import("./services/movie-import.service.js");
+    const row = { title: "Imported Twice", year: "2011", director: "Someone" };
+    await Movie.init();
+
+    const reports = await Promise.all([importMovies([row]), importMovies([row])]);
+
+    expect(await Movie.countDocuments({ title: "Imported Twice" })).toBe(1);
+    expect(reports.map((report) => report.results[0].status).sort()).toEqual([
+      "created",
+      "skipped",
+    ]);
+  });
+
+  it("should only detail the first rows of a large import", async () => {
+    const { importMovies } = await import("./services/movie-import.service.js");
+    const report = await importMovies(records, {
+      dryRun: true,
+      replace: true,
+      maxResults: 2,
+    });
+
+    expect(report.results.map((result) => result.index)).toEqual([0, 1]);
+    expect(report.truncated).toBe(true);
+    expect(report.summary).toMatchObject({ created: 2, updated: 1, rejected: 1 });
+  });
+});
+
 // =============================================
 // CRUD Ratings (con autenticación)
 // =============================================
@@ -448,7 +882,7 @@ describe("Ratings (autenticado)", () => {
       .post("/ratings")
       .set("Cookie", sessionCookie)
       .send({
-        movie: movie1.id,
+        movie: movie2.id,
         text: "Great movie but a bit too long",
         score: 4,
       });
@@ -524,6 +958,15 @@ describe("Ratings (autenticado)", () => {
 
     expect(res.status).toBe(404);
   });
+
+  it("should keep averageScore and ratingsCount up to date on the movie", async () => {
+    const res = await request(app)
+      .get(`/movies/${movie1.id}`)
+      .set("Cookie", sessionCookie);
+
+    expect(res.body.ratingsCount).toBe(1);
+    expect(res.body.averageScore).toBe(4);
+  });
 });
 
 // =============================================
@@ -532,9 +975,13 @@ describe("Ratings (autenticado)", () => {
 
 describe("Virtual populate — ratings (autenticado)", () => {
   beforeAll(async () => {
+    // Cada usuario solo puede valorar una vez la misma película
+    await verifyEmail("public-register@test.com");
+    const otherCookie = await loginAs("public-register@test.com");
+
     await request(app)
       .post("/ratings")
-      .set("Cookie", sessionCookie)
+      .set("Cookie", otherCookie)
       .send({
         movie: movie1.id,
         text: "Rating created for virtual populate test",
@@ -564,10 +1011,40 @@ describe("Virtual populate — ratings (autenticado)", () => {
     });
   });
 
+  it("GET /movies/:id should include a score histogram", async () => {
+    const res = await request(app)
+      .get(`/movies/${movie1.id}`)
+      .set("Cookie", sessionCookie);
+
+    expect(res.body.scoreHistogram).toEqual({ 1: 0, 2: 0, 3: 1, 4: 1, 5: 0 });
+  });
+
+  it("GET /movies should sort and filter by rating aggregates", async () => {
+    const res = await request(app)
+      .get("/movies?minRatingsCount=1&sort=-averageScore")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((movie) => movie.id)).toEqual([movie1.id]);
+    expect(res.body.data[0]).toMatchObject({ averageScore: 3.5, ratingsCount: 2 });
+  });
+
+  it("repairMovieStats should fix aggregates that drifted", async () => {
+    const Rating = (await import("./models/rating.model.js")).default;
+    await Movie.updateOne({ _id: movie1.id }, { averageScore: 1, ratingsCount: 99 });
+
+    const drifted = await Rating.repairMovieStats();
+
+    expect(drifted.map((item) => item.id)).toContain(movie1.id);
+    const repaired = await Movie.findById(movie1.id);
+    expect(repaired.averageScore).toBe(3.5);
+    expect(repaired.ratingsCount).toBe(2);
+  });
+
   it("a movie with no ratings should have an empty ratings array", async () => {
     const movieRes = await request(app)
       .post("/movies")
-      .set("Cookie", sessionCookie)
+      .set("Cookie", adminCookie)
       .send({ title: "New Movie Without Ratings", year: "2025", director: "Test Director" });
 
     const res = await request(app)
@@ -580,6 +1057,85 @@ describe("Virtual populate — ratings (autenticado)", () => {
   });
 });
 
+// =============================================
+// Ratings — autoría
+// =============================================
+
+describe("Ratings — autoría", () => {
+  let otherCookie;
+  let ownRating;
+
+  beforeAll(async () => {
+    await verifyEmail("nobio@test.com");
+    otherCookie = await loginAs("nobio@test.com");
+
+    const res = await request(app)
+      .post("/ratings")
+      .set("Cookie", otherCookie)
+      .send({
+        movie: movie2.id,
+        text: "Written by the second user",
+        score: 2,
+        user: user1.id,
+      });
+    ownRating = res.body;
+  });
+
+  it("POST /ratings should set the author from the session, not the body", async () => {
+    expect(ownRating.user).toHaveProperty("fullName", validUser.fullName);
+    expect(ownRating.user.id).not.toBe(user1.id);
+  });
+
+  it("rating responses should not leak private author fields", async () => {
+    const res = await request(app)
+      .get(`/ratings/${ownRating.id}`)
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toHaveProperty("fullName");
+    expect(res.body.user).not.toHaveProperty("email");
+    expect(res.body.user).not.toHaveProperty("password");
+    expect(res.body.user).not.toHaveProperty("birthDate");
+  });
+
+  it("POST /ratings should return 409 when the user already rated the movie", async () => {
+    const res = await request(app)
+      .post("/ratings")
+      .set("Cookie", otherCookie)
+      .send({ movie: movie2.id, text: "Trying to rate it twice", score: 5 });
+
+    expect(res.status).toBe(409);
+  });
+
+  it("PATCH /ratings/:id should return 403 for someone other than the author", async () => {
+    const res = await request(app)
+      .patch(`/ratings/${ownRating.id}`)
+      .set("Cookie", sessionCookie)
+      .send({ score: 5 });
+
+    expect(res.status).toBe(403);
+  });
+
+  it("DELETE /ratings/:id should return 403 for someone other than the author", async () => {
+    const res = await request(app)
+      .delete(`/ratings/${ownRating.id}`)
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(403);
+  });
+
+  it("PATCH /ratings/:id should not let the author reassign the rating", async () => {
+    const res = await request(app)
+      .patch(`/ratings/${ownRating.id}`)
+      .set("Cookie", otherCookie)
+      .send({ score: 3, user: user1.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.score).toBe(3);
+    expect(res.body.user.id).toBe(ownRating.user.id);
+  });
+});
+
 // =============================================
 // Users CRUD (autenticado)
 // =============================================
@@ -660,7 +1216,7 @@ describe("Users CRUD (autenticado)", () => {
 
     const res = await request(app)
       .delete(`/api/users/${createRes.body.id}`)
-      .set("Cookie", sessionCookie);
+      .set("Cookie", adminCookie);
 
     expect(res.status).toBe(204);
   });
@@ -668,24 +1224,2412 @@ describe("Users CRUD (autenticado)", () => {
   it("DELETE /api/users/:id should return 404 for non-existent user", async () => {
     const res = await request(app)
       .delete(`/api/users/${fakeId}`)
-      .set("Cookie", sessionCookie);
+      .set("Cookie", adminCookie);
 
     expect(res.status).toBe(404);
   });
 });
 
 // =============================================
-// Errores — Middleware centralizado
+// Roles y autorización
 // =============================================
 
-describe("Middleware de errores", () => {
-  it("GET /unknown should return 404 with JSON error", async () => {
-    const res = await request(app)
-      .get("/unknown")
+describe("Roles y autorización", () => {
+  let member;
+
+  beforeAll(async () => {
+    member = await User.findOne({ email: "nobio@test.com" });
+  });
+
+  it("new users should be members even if the body asks for admin", async () => {
+    const res = await request(app).post("/api/users").send({
+      ...validUser,
+      email: "wannabe-admin@test.com",
+      role: "admin",
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.role).toBe("member");
+  });
+
+  it("members should get 403 when creating, editing or deleting movies", async () => {
+    const create = await request(app)
+      .post("/movies")
+      .set("Cookie", sessionCookie)
+      .send({ title: "Not Allowed", year: 2020, director: "Member" });
+    const update = await request(app)
+      .patch(`/movies/${movie2.id}`)
+      .set("Cookie", sessionCookie)
+      .send({ director: "Member" });
+    const remove = await request(app)
+      .delete(`/movies/${movie2.id}`)
       .set("Cookie", sessionCookie);
 
-    expect(res.status).toBe(404);
-    expect(res.headers["content-type"]).toMatch(/json/);
-    expect(res.body).toHaveProperty("error");
+    expect(create.status).toBe(403);
+    expect(update.status).toBe(403);
+    expect(remove.status).toBe(403);
+  });
+
+  it("members should get 403 when editing or deleting another account", async () => {
+    const update = await request(app)
+      .patch(`/api/users/${member.id}`)
+      .set("Cookie", sessionCookie)
+      .send({ bio: "Hacked" });
+    const remove = await request(app)
+      .delete(`/api/users/${member.id}`)
+      .set("Cookie", sessionCookie);
+
+    expect(update.status).toBe(403);
+    expect(remove.status).toBe(403);
+  });
+
+  it("members should not be able to elevate their own role", async () => {
+    const res = await request(app)
+      .patch(`/api/users/${user1.id}`)
+      .set("Cookie", sessionCookie)
+      .send({ role: "admin" });
+
+    expect(res.status).toBe(403);
+    expect((await User.findById(user1.id)).role).toBe("member");
+  });
+
+  it("admins should be able to edit other accounts and their roles", async () => {
+    const res = await request(app)
+      .patch(`/api/users/${member.id}`)
+      .set("Cookie", adminCookie)
+      .send({ bio: "Edited by an admin", role: "admin" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.bio).toBe("Edited by an admin");
+    expect(res.body.role).toBe("admin");
+  });
+});
+
+// =============================================
+// Integridad referencial
+// =============================================
+
+describe("Integridad referencial", () => {
+  it("DELETE /movies/:id should also delete its ratings", async () => {
+    const movieRes = await request(app)
+      .post("/movies")
+      .set("Cookie", adminCookie)
+      .send({ title: "Doomed Movie", year: 2000, director: "Nobody" });
+    const ratingRes = await request(app)
+      .post("/ratings")
+      .set("Cookie", sessionCookie)
+      .send({ movie: movieRes.body.id, text: "This movie is about to go", score: 2 });
+
+    expect(ratingRes.status).toBe(201);
+
+    const res = await request(app)
+      .delete(`/movies/${movieRes.body.id}`)
+      .set("Cookie", adminCookie);
+
+    expect(res.status).toBe(204);
+    expect(await Rating.findById(ratingRes.body.id)).toBeNull();
+  });
+
+  it("DELETE /api/users/:id should delete the user's ratings and sessions", async () => {
+    await request(app)
+      .post("/api/users")
+      .send({ ...validUser, email: "leaving@test.com" });
+    await verifyEmail("leaving@test.com");
+    const cookie = await loginAs("leaving@test.com");
+    const profile = await request(app)
+      .get("/api/users/profile")
+      .set("Cookie", cookie);
+    const ratingRes = await request(app)
+      .post("/ratings")
+      .set("Cookie", cookie)
+      .send({ movie: movie2.id, text: "Rating from a user who leaves", score: 1 });
+
+    expect(ratingRes.status).toBe(201);
+
+    const res = await request(app)
+      .delete(`/api/users/${profile.body.id}`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(204);
+    expect(await Rating.findById(ratingRes.body.id)).toBeNull();
+
+    const afterDelete = await request(app).get("/movies").set("Cookie", cookie);
+    expect(afterDelete.status).toBe(401);
+
+    const movie = await Movie.findById(movie2.id);
+    expect(movie.ratingsCount).toBe(await Rating.countDocuments({ movie: movie2.id }));
+  });
+
+  it("PATCH /ratings/:id should return 404 when pointing to a missing movie", async () => {
+    const rating = await Rating.findOne({ user: user1.id, movie: movie1.id });
+
+    const res = await request(app)
+      .patch(`/ratings/${rating.id}`)
+      .set("Cookie", sessionCookie)
+      .send({ movie: fakeId });
+
+    expect(res.status).toBe(404);
+    expect((await Rating.findById(rating.id)).movie.toString()).toBe(movie1.id);
+  });
+
+  it("the consistency check should find and remove orphaned ratings", async () => {
+    const { findOrphans, fixOrphans } = await import("./services/consistency.service.js");
+    const { insertedId } = await Rating.collection.insertOne({
+      movie: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(user1.id),
+      text: "Rating for a movie that is gone",
+      score: 3,
+    });
+
+    const orphans = await findOrphans();
+    expect(
+      orphans.ratingsWithoutMovie.map((rating) => rating._id.toString()),
+    ).toContain(insertedId.toString());
+
+    await fixOrphans(orphans);
+    expect(await Rating.findById(insertedId)).toBeNull();
+  });
+});
+
+// =============================================
+// Recuperación de contraseña
+// =============================================
+
+describe("Recuperación de contraseña", () => {
+  const email = "reset@test.com";
+  let outbox;
+  let oldCookie;
+  let token;
+
+  beforeAll(async () => {
+    const { getTransport } = await import("./services/mailer.service.js");
+    outbox = getTransport().messages;
+
+    await request(app).post("/api/users").send({ ...validUser, email });
+    oldCookie = await loginAs(email);
+  });
+
+  it("POST /api/users/password-reset should answer 202 for unknown emails without sending mail", async () => {
+    const sent = outbox.length;
+    const res = await request(app)
+      .post("/api/users/password-reset")
+      .send({ email: "nobody@test.com" });
+
+    expect(res.status).toBe(202);
+
+    // El correo se envía después de responder: se espera al de una petición posterior
+    await request(app).post("/api/users/password-reset").send({ email });
+    await vi.waitFor(() => expect(outbox.length).toBeGreaterThan(sent));
+    expect(outbox.slice(sent).map((message) => message.to)).toEqual([email]);
+  });
+
+  it("POST /api/users/password-reset should answer 202 and log when the mail cannot be sent", async () => {
+    const { getTransport, setTransport } = await import("./services/mailer.service.js");
+    const transport = getTransport();
+    setTransport({
+      async send() {
+        throw new Error("SMTP down");
+      },
+    });
+
+    try {
+      const res = await request(app).post("/api/users/password-reset").send({ email });
+
+      expect(res.status).toBe(202);
+      await vi.waitFor(() =>
+        expect(getDestination().entries).toContainEqual(
+          expect.objectContaining({
+            level: "error",
+            message: "password reset email failed",
+            error: expect.objectContaining({ message: "SMTP down" }),
+          }),
+        ),
+      );
+    } finally {
+      setTransport(transport);
+    }
+  });
+
+  it("POST /api/users/password-reset should email a one-time link", async () => {
+    const sent = outbox.length;
+    const res = await request(app)
+      .post("/api/users/password-reset")
+      .send({ email });
+
+    expect(res.status).toBe(202);
+    await vi.waitFor(() => expect(outbox.length).toBe(sent + 1));
+
+    const message = outbox.at(-1);
+    expect(message.to).toBe(email);
+    token = message.text.match(/token=([a-f0-9]+)/)[1];
+
+    const PasswordResetToken = (await import("./models/password-reset-token.model.js")).default;
+    expect(await PasswordResetToken.exists({ tokenHash: token })).toBeNull();
+  });
+
+  it("POST /api/users/password-reset/confirm should return 400 for a too short password", async () => {
+    const res = await request(app)
+      .post("/api/users/password-reset/confirm")
+      .send({ token, password: "123" });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("POST /api/users/password-reset/confirm should set the new password and close sessions", async () => {
+    const res = await request(app)
+      .post("/api/users/password-reset/confirm")
+      .send({ token, password: "brand-new-secret" });
+
+    expect(res.status).toBe(204);
+
+    const profile = await request(app)
+      .get("/api/users/profile")
+      .set("Cookie", oldCookie);
+    expect(profile.status).toBe(401);
+
+    const login = await request(app)
+      .post("/api/users/login")
+      .send({ email, password: "brand-new-secret" });
+    expect(login.status).toBe(200);
+  });
+
+  it("a reset token should only work once", async () => {
+    const res = await request(app)
+      .post("/api/users/password-reset/confirm")
+      .send({ token, password: "another-secret" });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("an expired reset token should be rejected", async () => {
+    const PasswordResetToken = (await import("./models/password-reset-token.model.js")).default;
+    const user = await User.findOne({ email });
+    const expired = await PasswordResetToken.issue(user._id);
+    await PasswordResetToken.updateMany(
+      { user: user._id, usedAt: null },
+      { expiresAt: new Date(Date.now() - 1000) },
+    );
+
+    const res = await request(app)
+      .post("/api/users/password-reset/confirm")
+      .send({ token: expired, password: "another-secret" });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+// =============================================
+// Usuarios sin verificar
+// =============================================
+
+describe("Usuarios sin verificar", () => {
+  const email = "unverified@test.com";
+  let cookie;
+  let userId;
+
+  beforeAll(async () => {
+    const res = await request(app).post("/api/users").send({ ...validUser, email });
+    userId = res.body.id;
+    cookie = await loginAs(email);
+  });
+
+  it("unverified users should be able to read movies", async () => {
+    const res = await request(app).get("/movies").set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+  });
+
+  it("unverified users should get 403 when posting ratings", async () => {
+    const res = await request(app)
+      .post("/ratings")
+      .set("Cookie", cookie)
+      .send({ movie: movie1.id, text: "Not verified yet, sorry", score: 4 });
+
+    expect(res.status).toBe(403);
+  });
+
+  it("resending the verification email too soon should return 429", async () => {
+    const res = await request(app)
+      .post("/api/users/verify-email/resend")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  it("resending the verification email after the interval should return 202", async () => {
+    await User.updateOne({ _id: userId }, { verificationSentAt: new Date(0) });
+
+    const res = await request(app)
+      .post("/api/users/verify-email/resend")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(202);
+  });
+
+  it("verified users should be able to post ratings", async () => {
+    await verifyEmail(email);
+
+    const res = await request(app)
+      .post("/ratings")
+      .set("Cookie", cookie)
+      .send({ movie: movie1.id, text: "Verified and ready to rate", score: 4 });
+
+    expect(res.status).toBe(201);
+  });
+
+  it("changing the email should require verifying it again", async () => {
+    const res = await request(app)
+      .patch(`/api/users/${userId}`)
+      .set("Cookie", cookie)
+      .send({ email: "changed@test.com" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.emailVerified).toBe(false);
+
+    // El enlace enviado al email anterior ya no vale
+    const oldLink = await verifyEmail(email);
+    expect(oldLink.status).toBe(400);
+
+    const newLink = await verifyEmail("changed@test.com");
+    expect(newLink.status).toBe(204);
+  });
+});
+
+// =============================================
+// Rate limiting y fuerza bruta
+// =============================================
+
+describe("Rate limiting y fuerza bruta", () => {
+  it("POST /api/users should return 429 once the registration budget is spent", async () => {
+    const { RATE_LIMITS } = await import("./config/rate-limit.config.js");
+    let res;
+
+    for (let i = 0; i <= RATE_LIMITS.register.max; i++) {
+      res = await request(app).post("/api/users").send({});
+    }
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+    expect(res.headers["ratelimit-remaining"]).toBe("0");
+  });
+
+  it("write endpoints should send rate limit headers", async () => {
+    const res = await request(app)
+      .post("/ratings")
+      .set("Cookie", sessionCookie)
+      .send({});
+
+    expect(res.headers["ratelimit-limit"]).toBeDefined();
+    expect(res.headers["ratelimit-remaining"]).toBeDefined();
+    expect(res.headers["ratelimit-reset"]).toBeDefined();
+  });
+
+  it("POST /api/users/login should lock an account after too many failures", async () => {
+    const { LOGIN_PROTECTION } = await import("./config/rate-limit.config.js");
+
+    // Fallos desde otra IP: el bloqueo es por cuenta
+    for (let i = 0; i < LOGIN_PROTECTION.accountLockout; i++) {
+      await getStore().increment(
+        `login-attempts:account:${validUser.email}`,
+        LOGIN_PROTECTION.windowMs,
+      );
+    }
+
+    const res = await request(app)
+      .post("/api/users/login")
+      .send({ email: validUser.email, password: "whatever" });
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  it("the login guard should delay responses progressively", async () => {
+    const { createLoginGuard } = await import("./services/login-guard.service.js");
+    const delays = [];
+    const guard = createLoginGuard(
+      {
+        windowMs: 60 * 1000,
+        delayAfter: 1,
+        baseDelayMs: 50,
+        maxDelayMs: 120,
+        accountLockout: 10,
+        ipLockout: 10,
+      },
+      { sleep: async (ms) => delays.push(ms) },
+    );
+    const attempt = () => guard.attempt("198.51.100.1", "slow@test.com");
+
+    await attempt();
+    expect(delays).toEqual([]);
+
+    await attempt();
+    expect(delays).toEqual([50]);
+
+    await attempt();
+    await attempt();
+    expect(delays).toEqual([50, 100, 120]);
+  });
+
+  it("parallel login attempts should not get past the account lockout", async () => {
+    const { LOGIN_PROTECTION } = await import("./config/rate-limit.config.js");
+    const { createLoginGuard } = await import("./services/login-guard.service.js");
+    const guard = createLoginGuard(
+      { ...LOGIN_PROTECTION, accountLockout: 3 },
+      { sleep: async () => {} },
+    );
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 10 }, (_, i) =>
+        guard.attempt(`198.51.100.${i}`, "parallel@test.com"),
+      ),
+    );
+
+    expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(3);
+    expect(results.filter((r) => r.status === "rejected")).toHaveLength(7);
+  });
+
+  it("POST /api/users/login should have its own rate limit budget", async () => {
+    const { RATE_LIMITS } = await import("./config/rate-limit.config.js");
+    let res;
+
+    for (let i = 0; i <= RATE_LIMITS.login.max; i++) {
+      res = await request(app)
+        .post("/api/users/login")
+        .send({ email: `burst${i}@test.com`, password: "whatever" });
+    }
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe("RATE_LIMITED");
+    expect(res.headers["ratelimit-limit"]).toBe(String(RATE_LIMITS.login.max));
+  });
+
+  it("login failures should be counted by the client IP, not a spoofed X-Forwarded-For", async () => {
+    const res = await request(app)
+      .post("/api/users/login")
+      .set("X-Forwarded-For", "203.0.113.99")
+      .send({ email: "spoofer@test.com", password: "whatever" });
+
+    expect(res.status).toBe(401);
+    expect(await getStore().get("login-attempts:ip:203.0.113.99")).toBeNull();
+    expect(loadConfig({}).trustProxy).toBe(false);
+    expect(loadConfig({ TRUST_PROXY: "1" }).trustProxy).toBe(1);
+    expect(loadConfig({ TRUST_PROXY: "loopback, 10.0.0.0/8" }).trustProxy).toBe(
+      "loopback, 10.0.0.0/8",
+    );
+  });
+
+  it("a successful login should clear the account attempts", async () => {
+    const { LOGIN_PROTECTION } = await import("./config/rate-limit.config.js");
+    const email = "nobio@test.com";
+    const key = `login-attempts:account:${email}`;
+
+    await getStore().increment(key, LOGIN_PROTECTION.windowMs);
+    await loginAs(email);
+
+    expect(await getStore().get(key)).toBeNull();
+  });
+
+  it("the memory store should restart counters when the window ends", async () => {
+    const store = createMemoryStore();
+
+    await store.increment("key", 20);
+    expect((await store.increment("key", 20)).count).toBe(2);
+
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    expect((await store.increment("key", 20)).count).toBe(1);
+  });
+});
+
+// =============================================
+// Validación de peticiones
+// =============================================
+describe("Validación de peticiones", () => {
+  it("should return 400 for a malformed id instead of reaching the database", async () => {
+    const res = await request(app).get("/movies/not-an-id").set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      expect.objectContaining({ field: "id", code: "INVALID_TYPE" }),
+    ]);
+  });
+
+  it("should reject unknown query parameters on every route", async () => {
+    const urls = [`/movies/${movie1.id}?expand=all`, "/ratings?movie=x", "/api/users?role=admin"];
+
+    for (const url of urls) {
+      const res = await request(app).get(url).set("Cookie", sessionCookie);
+
+      expect(res.status).toBe(400);
+    }
+  });
+
+  it("POST /movies should coerce numeric strings and drop computed fields", async () => {
+    const res = await request(app)
+      .post("/movies")
+      .set("Cookie", adminCookie)
+      .send({
+        title: "Validation Movie",
+        year: "1999",
+        director: "Validation Director",
+        rate: "7.5",
+        averageScore: 5,
+        ratingsCount: 1000,
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.year).toBe(1999);
+    expect(res.body.rate).toBe(7.5);
+    expect(res.body.averageScore).toBeNull();
+    expect(res.body.ratingsCount).toBe(0);
+  });
+
+  it("POST /movies should report every invalid field at once", async () => {
+    const res = await request(app)
+      .post("/movies")
+      .set("Cookie", adminCookie)
+      .send({ year: "soon", genre: "Drama" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field).sort()).toEqual([
+      "director",
+      "genre",
+      "title",
+      "year",
+    ]);
+  });
+
+  it("POST /api/users/login should reject non-string credentials", async () => {
+    const res = await request(app)
+      .post("/api/users/login")
+      .send({ email: { $ne: null }, password: validUser.password });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: "email", code: "INVALID_TYPE" });
+  });
+
+  it("PATCH /api/users/:id should ignore fields that are not editable", async () => {
+    const res = await request(app)
+      .patch(`/api/users/${user1.id}`)
+      .set("Cookie", sessionCookie)
+      .send({ bio: "Validated bio", createdAt: "2000-01-01", emailVerified: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.bio).toBe("Validated bio");
+    expect(new Date(res.body.createdAt).getFullYear()).not.toBe(2000);
+    expect(res.body.emailVerified).toBe(true);
+  });
+});
+
+// =============================================
+// Watchlist e historial
+// =============================================
+describe("Watchlist e historial", () => {
+  let watcher;
+  let watcherCookie;
+
+  beforeAll(async () => {
+    watcher = await User.create({
+      ...validUser,
+      email: "watcher@test.com",
+      emailVerified: true,
+    });
+    watcherCookie = await loginAs("watcher@test.com");
+  });
+
+  it("PUT /api/users/:id/watchlist/:movieId should add the movie once", async () => {
+    const url = `/api/users/${watcher.id}/watchlist/${movie1.id}`;
+
+    const created = await request(app).put(url).set("Cookie", watcherCookie);
+    expect(created.status).toBe(201);
+    expect(created.body.movie.title).toBe(movie1.title);
+
+    const again = await request(app).put(url).set("Cookie", watcherCookie);
+    expect(again.status).toBe(200);
+    expect(await WatchlistItem.countDocuments({ user: watcher.id })).toBe(1);
+  });
+
+  it("PUT /api/users/:id/watchlist/:movieId should add the movie once under concurrency", async () => {
+    const movie = await Movie.create({ title: "Raced", year: 2003, director: "Someone" });
+    const url = `/api/users/${watcher.id}/watchlist/${movie.id}`;
+
+    const responses = await Promise.all(
+      Array.from({ length: 3 }, () => request(app).put(url).set("Cookie", watcherCookie)),
+    );
+    const count = await WatchlistItem.countDocuments({ user: watcher.id, movie: movie.id });
+    await WatchlistItem.deleteMany({ movie: movie.id });
+
+    expect(responses.map((res) => res.status).sort()).toEqual([200, 200, 201]);
+    expect(new Set(responses.map((res) => res.body.id)).size).toBe(1);
+    expect(count).toBe(1);
+  });
+
+  it("GET /movies/:id should tell whether the movie is on the caller's watchlist", async () => {
+    const mine = await request(app).get(`/movies/${movie1.id}`).set("Cookie", watcherCookie);
+    const theirs = await request(app).get(`/movies/${movie1.id}`).set("Cookie", sessionCookie);
+
+    expect(mine.body.inWatchlist).toBe(true);
+    expect(theirs.body.inWatchlist).toBe(false);
+  });
+
+  it("GET /api/users/:id/watchlist should paginate with the latest first", async () => {
+    await request(app)
+      .put(`/api/users/${watcher.id}/watchlist/${movie2.id}`)
+      .set("Cookie", watcherCookie);
+
+    const res = await request(app)
+      .get(`/api/users/${watcher.id}/watchlist?limit=1`)
+      .set("Cookie", watcherCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].movie.id).toBe(movie2.id);
+    expect(res.body.next).toMatch(/page=2/);
+  });
+
+  it("DELETE /api/users/:id/watchlist/:movieId should remove the movie", async () => {
+    const url = `/api/users/${watcher.id}/watchlist/${movie2.id}`;
+
+    const res = await request(app).delete(url).set("Cookie", watcherCookie);
+    expect(res.status).toBe(204);
+
+    const again = await request(app).delete(url).set("Cookie", watcherCookie);
+    expect(again.status).toBe(404);
+  });
+
+  it("PUT /api/users/:id/watchlist/:movieId should return 404 for a missing movie", async () => {
+    const res = await request(app)
+      .put(`/api/users/${watcher.id}/watchlist/${fakeId}`)
+      .set("Cookie", watcherCookie);
+
+    expect(res.status).toBe(404);
+  });
+
+  it("POST /api/users/:id/watched should record viewings newest first", async () => {
+    const url = `/api/users/${watcher.id}/watched`;
+
+    const older = await request(app)
+      .post(url)
+      .set("Cookie", watcherCookie)
+      .send({ movie: movie1.id, watchedAt: "2024-01-10" });
+    expect(older.status).toBe(201);
+
+    const newer = await request(app)
+      .post(url)
+      .set("Cookie", watcherCookie)
+      .send({ movie: movie2.id });
+    expect(newer.status).toBe(201);
+
+    const res = await request(app).get(url).set("Cookie", watcherCookie);
+
+    expect(res.body.data.map((viewing) => viewing.movie.id)).toEqual([
+      movie2.id,
+      movie1.id,
+    ]);
+  });
+
+  it("POST /api/users/:id/watched should reject a future date", async () => {
+    const res = await request(app)
+      .post(`/api/users/${watcher.id}/watched`)
+      .set("Cookie", watcherCookie)
+      .send({ movie: movie1.id, watchedAt: "2999-01-01" });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("DELETE /api/users/:id/watched/:viewingId should remove an entry", async () => {
+    const viewing = await Viewing.findOne({ user: watcher.id, movie: movie2.id });
+
+    const res = await request(app)
+      .delete(`/api/users/${watcher.id}/watched/${viewing.id}`)
+      .set("Cookie", watcherCookie);
+
+    expect(res.status).toBe(204);
+    expect(await Viewing.exists({ _id: viewing.id })).toBeNull();
+  });
+
+  it("should not let other users see or change someone's lists", async () => {
+    const list = await request(app)
+      .get(`/api/users/${watcher.id}/watchlist`)
+      .set("Cookie", sessionCookie);
+    const add = await request(app)
+      .put(`/api/users/${watcher.id}/watchlist/${movie2.id}`)
+      .set("Cookie", sessionCookie);
+    const history = await request(app)
+      .get(`/api/users/${watcher.id}/watched`)
+      .set("Cookie", sessionCookie);
+
+    expect(list.status).toBe(403);
+    expect(add.status).toBe(403);
+    expect(history.status).toBe(403);
+  });
+
+  it("should hide trashed movies from watchlists and history", async () => {
+    const movie = await Movie.create({
+      title: "Briefly Trashed",
+      year: 2002,
+      director: "Someone",
+    });
+    await request(app)
+      .put(`/api/users/${watcher.id}/watchlist/${movie.id}`)
+      .set("Cookie", watcherCookie);
+    await request(app)
+      .post(`/api/users/${watcher.id}/watched`)
+      .set("Cookie", watcherCookie)
+      .send({ movie: movie.id });
+
+    const listed = async () => {
+      const lists = await Promise.all(
+        ["watchlist", "watched"].map((list) =>
+          request(app)
+            .get(`/api/users/${watcher.id}/${list}`)
+            .set("Cookie", watcherCookie),
+        ),
+      );
+      return lists.map((res) => ({
+        total: res.body.total,
+        ids: res.body.data.map((item) => item.movie?.id),
+      }));
+    };
+
+    const before = await listed();
+    await request(app).delete(`/movies/${movie.id}`).set("Cookie", adminCookie).expect(204);
+    const trashed = await listed();
+
+    trashed.forEach((list, i) => {
+      expect(list.ids).not.toContain(movie.id);
+      expect(list.ids).not.toContain(undefined);
+      expect(list.total).toBe(before[i].total - 1);
+    });
+
+    await request(app)
+      .post(`/trash/movies/${movie.id}/restore`)
+      .set("Cookie", adminCookie)
+      .expect(200);
+    expect(await listed()).toEqual(before);
+  });
+
+  it("purging a movie should remove it from watchlists and history", async () => {
+    const movie = await Movie.create({
+      title: "Soon Deleted",
+      year: 2001,
+      director: "Someone",
+    });
+    await request(app)
+      .put(`/api/users/${watcher.id}/watchlist/${movie.id}`)
+      .set("Cookie", watcherCookie);
+    await request(app)
+      .post(`/api/users/${watcher.id}/watched`)
+      .set("Cookie", watcherCookie)
+      .send({ movie: movie.id });
+
+    await request(app).delete(`/movies/${movie.id}`).set("Cookie", adminCookie).expect(204);
+
+    // En la papelera se conservan por si se restaura
+    expect(await WatchlistItem.countDocuments({ movie: movie.id })).toBe(1);
+
+    const res = await request(app)
+      .delete(`/trash/movies/${movie.id}`)
+      .set("Cookie", adminCookie);
+
+    expect(res.status).toBe(204);
+    expect(await WatchlistItem.countDocuments({ movie: movie.id })).toBe(0);
+    expect(await Viewing.countDocuments({ movie: movie.id })).toBe(0);
+  });
+});
+
+// =============================================
+// Documentación OpenAPI
+// =============================================
+describe("Documentación OpenAPI", () => {
+  it("GET /openapi.json should serve the spec without a session", async () => {
+    const res = await request(app).get("/openapi.json");
+
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toMatch(/^3\./);
+    expect(res.body.paths["/movies/{id}"].get.parameters).toEqual([
+      expect.objectContaining({ name: "id", in: "path", required: true }),
+    ]);
+    expect(res.body.components.schemas.Movie.required).toContain("title");
+  });
+
+  it("should document every route of the router", async () => {
+    const { default: router } = await import("./config/routes.config.js");
+    const { collectRoutes, toOpenApiPath } = await import("./services/openapi.service.js");
+    const { OPERATIONS } = await import("./config/openapi.config.js");
+    const res = await request(app).get("/openapi.json");
+
+    const routes = collectRoutes(router);
+    const undocumented = routes
+      .filter(
+        ({ method, path }) => !res.body.paths[toOpenApiPath(path)]?.[method.toLowerCase()],
+      )
+      .map(({ method, path }) => `${method} ${path}`);
+    const stale = Object.keys(OPERATIONS).filter(
+      (key) => !routes.some(({ method, path }) => `${method} ${path}` === key),
+    );
+
+    expect(undocumented).toEqual([]);
+    expect(stale).toEqual([]);
+  });
+
+  it("should mark public routes and describe request bodies", async () => {
+    const res = await request(app).get("/openapi.json");
+    const register = res.body.paths["/users"].post;
+    const createMovie = res.body.paths["/movies"].post;
+
+    expect(register.security).toEqual([]);
+    expect(register.requestBody.content["application/json"].schema.required).toEqual(
+      expect.arrayContaining(["email", "password", "fullName", "birthDate"]),
+    );
+    expect(createMovie.security).toBeUndefined();
+    expect(createMovie.responses).toHaveProperty("403");
+  });
+
+  it("should describe the import upload and its report", async () => {
+    const res = await request(app).get("/openapi.json");
+    const importMovies = res.body.paths["/movies/import"].post;
+
+    expect(
+      importMovies.requestBody.content["multipart/form-data"].schema.properties.file,
+    ).toEqual({ type: "string", format: "binary" });
+    expect(importMovies.responses["200"].content["application/json"].schema).toEqual({
+      $ref: "#/components/schemas/ImportReport",
+    });
+    expect(Object.keys(res.body.components.schemas.ImportReport.properties)).toEqual(
+      expect.arrayContaining(["mode", "dryRun", "summary", "results"]),
+    );
+  });
+
+  it("should not expose hidden user fields in the schema", async () => {
+    const res = await request(app).get("/openapi.json");
+
+    expect(res.body.components.schemas.User.properties).not.toHaveProperty("password");
+  });
+
+  it("GET /docs should serve the interactive documentation", async () => {
+    const res = await request(app).get("/docs");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/html/);
+    expect(res.text).toContain("/openapi.json");
+    expect(res.text).not.toMatch(/https?:\/\//);
+  });
+
+  it("GET /docs should serve Swagger UI from the app itself", async () => {
+    const script = await request(app).get("/docs/assets/swagger-ui-bundle.js");
+    const styles = await request(app).get("/docs/assets/swagger-ui.css");
+
+    expect(script.status).toBe(200);
+    expect(script.headers["content-type"]).toMatch(/javascript/);
+    expect(styles.status).toBe(200);
+    expect(styles.headers["content-type"]).toMatch(/css/);
+  });
+});
+
+// =============================================
+// Importación y exportación
+// =============================================
+describe("Importación y exportación", () => {
+  // supertest no lee como texto los tipos que no conoce (NDJSON)
+  const asText = (res, callback) => {
+    let text = "";
+    res.setEncoding("utf8");
+    res.on("data", (chunk) => (text += chunk));
+    res.on("end", () => callback(null, text));
+  };
+
+  it("GET /movies/export should stream CSV with the list filters", async () => {
+    const res = await request(app)
+      .get("/movies/export?title=Shawshank")
+      .set("Cookie", sessionCookie)
+      .set("Accept", "text/csv");
+
+    const lines = res.text.trim().split("\n");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/csv/);
+    expect(res.headers["content-disposition"]).toMatch(/movies\.csv/);
+    expect(lines[0]).toBe(
+      "id,title,year,director,duration,genre,rate,averageScore,ratingsCount",
+    );
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain(movie1.id);
+  });
+
+  it("GET /movies/export should stream NDJSON when asked for it", async () => {
+    const res = await request(app)
+      .get("/movies/export")
+      .set("Cookie", sessionCookie)
+      .set("Accept", "application/x-ndjson")
+      .buffer(true)
+      .parse(asText);
+
+    const movies = res.body.trim().split("\n").map((line) => JSON.parse(line));
+
+    expect(res.headers["content-type"]).toMatch(/application\/x-ndjson/);
+    expect(movies).toHaveLength(await Movie.countDocuments());
+    expect(movies.find((movie) => movie.id === movie1.id).title).toBe(movie1.title);
+  });
+
+  it("GET /movies/export should return 406 for other formats", async () => {
+    const res = await request(app)
+      .get("/movies/export")
+      .set("Cookie", sessionCookie)
+      .set("Accept", "application/xml");
+
+    expect(res.status).toBe(406);
+  });
+
+  it("GET /ratings/export should include the movie title", async () => {
+    const res = await request(app)
+      .get("/ratings/export")
+      .set("Cookie", sessionCookie)
+      .set("Accept", "application/x-ndjson")
+      .buffer(true)
+      .parse(asText);
+
+    const ratings = res.body.trim().split("\n").map((line) => JSON.parse(line));
+    const rating = ratings.find((item) => item.movie === movie1.id);
+
+    expect(res.status).toBe(200);
+    expect(ratings).toHaveLength(await Rating.countDocuments());
+    expect(rating.movieTitle).toBe(movie1.title);
+  });
+
+  it("GET /ratings/export should not export user text as spreadsheet formulas", async () => {
+    const rating = await Rating.create({
+      movie: movie2.id,
+      user: new mongoose.Types.ObjectId(),
+      score: 1,
+      text: '=HYPERLINK("http://evil.example","Click me")',
+    });
+
+    const res = await request(app)
+      .get("/ratings/export")
+      .set("Cookie", sessionCookie)
+      .set("Accept", "text/csv");
+    await Rating.deleteOne({ _id: rating._id });
+
+    const line = res.text.split("\n").find((row) => row.startsWith(rating.id));
+
+    expect(res.status).toBe(200);
+    expect(line).toMatch(/,"'=HYPERLINK\(""http:\/\/evil\.example"",""Click me""\)"$/);
+  });
+
+  it("POST /movies/import should only report in validate mode", async () => {
+    const csv = [
+      "title,year,director,genre",
+      '"Imported, The Movie",2015,Some Director,Drama|Comedy',
+      "Too Old,1500,Someone,",
+      "Broken row,2000",
+    ].join("\n");
+
+    const res = await request(app)
+      .post("/movies/import")
+      .set("Cookie", adminCookie)
+      .attach("file", Buffer.from(csv), "movies.csv");
+
+    expect(res.status).toBe(200);
+    expect(res.body.mode).toBe("validate");
+    expect(res.body.summary).toMatchObject({ created: 1, rejected: 2 });
+    expect(res.body.results[1].errors).toHaveProperty("year");
+    expect(res.body.results[2].errors).toHaveProperty("record");
+    expect(await Movie.exists({ title: "Imported, The Movie" })).toBeNull();
+  });
+
+  it("POST /movies/import should create and update movies in commit mode", async () => {
+    const records = [
+      {
+        title: "Imported, The Movie",
+        year: 2015,
+        director: "Some Director",
+        genre: ["Drama"],
+      },
+      { title: movie2.title, year: movie2.year, rate: 9.2, averageScore: 1 },
+    ];
+
+    const res = await request(app)
+      .post("/movies/import?mode=commit")
+      .set("Cookie", adminCookie)
+      .attach("file", Buffer.from(JSON.stringify(records)), "movies.json");
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({ created: 1, updated: 1, rejected: 0 });
+    expect(await Movie.exists({ title: "Imported, The Movie" })).not.toBeNull();
+
+    const updated = await Movie.findById(movie2.id);
+    expect(updated.rate).toBe(9.2);
+    expect(updated.averageScore).not.toBe(1);
+  });
+
+  it("POST /movies/import should reject unsupported files and non-admins", async () => {
+    const text = await request(app)
+      .post("/movies/import")
+      .set("Cookie", adminCookie)
+      .attach("file", Buffer.from("hello"), "notes.txt");
+    const member = await request(app)
+      .post("/movies/import")
+      .set("Cookie", sessionCookie)
+      .attach("file", Buffer.from("title\n"), "movies.csv");
+
+    expect(text.status).toBe(415);
+    expect(member.status).toBe(403);
+  });
+});
+
+// =============================================
+// Recomendaciones
+// =============================================
+describe("Recomendaciones", () => {
+  let base, sameDirector, bothGenres, oneGenre;
+  let fan, fanCookie;
+
+  beforeAll(async () => {
+    const movie = (title, director, genre) => ({ title, year: 2000, director, genre });
+
+    // La última no comparte nada con "Reco Base" y nunca debe aparecer
+    [base, sameDirector, bothGenres, oneGenre] = await Movie.create([
+      movie("Reco Base", "Reco Director", ["RecoNoir", "RecoHeist"]),
+      movie("Reco Same Director", "Reco Director", ["RecoNoir", "RecoHeist"]),
+      movie("Reco Both Genres", "Other Director", ["RecoNoir", "RecoHeist"]),
+      movie("Reco One Genre", "Other Director", ["RecoNoir"]),
+      movie("Reco Unrelated", "Other Director", ["RecoUnrelated"]),
+    ]);
+
+    fan = await User.create({ ...validUser, email: "fan@test.com", emailVerified: true });
+    fanCookie = await loginAs("fan@test.com");
+  });
+
+  it("GET /movies/:id/similar should rank by genres and director", async () => {
+    const res = await request(app)
+      .get(`/movies/${base.id}/similar`)
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((suggestion) => suggestion.movie.id)).toEqual([
+      sameDirector.id,
+      bothGenres.id,
+      oneGenre.id,
+    ]);
+    expect(res.body[0]).toMatchObject({ score: 0.8, sameDirector: true });
+    expect(res.body[2].sharedGenres).toEqual(["RecoNoir"]);
+  });
+
+  it("GET /movies/:id/similar should match genres and directors ignoring case", async () => {
+    const shouting = await Movie.create({
+      title: "Reco Shouting",
+      year: 2000,
+      director: "RECO DIRECTOR",
+      genre: ["reconoir"],
+    });
+
+    const res = await request(app)
+      .get(`/movies/${base.id}/similar`)
+      .set("Cookie", sessionCookie);
+    await shouting.deleteOne();
+
+    const suggestion = res.body.find((item) => item.movie.id === shouting.id);
+    expect(suggestion).toMatchObject({ sameDirector: true, sharedGenres: ["reconoir"] });
+  });
+
+  it("GET /movies/:id/similar should honour the limit", async () => {
+    const res = await request(app)
+      .get(`/movies/${base.id}/similar?limit=1`)
+      .set("Cookie", sessionCookie);
+    const invalid = await request(app)
+      .get(`/movies/${base.id}/similar?limit=0`)
+      .set("Cookie", sessionCookie);
+
+    expect(res.body).toHaveLength(1);
+    expect(invalid.status).toBe(400);
+  });
+
+  it("GET /api/users/:id/recommendations should be empty without liked movies", async () => {
+    const res = await request(app)
+      .get(`/api/users/${fan.id}/recommendations`)
+      .set("Cookie", fanCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([]);
+  });
+
+  it("GET /api/users/:id/recommendations should skip rated movies", async () => {
+    await Rating.create([
+      { movie: base.id, user: fan.id, text: "One of my favourite films", score: 5 },
+      { movie: oneGenre.id, user: fan.id, text: "Not really my cup of tea", score: 2 },
+    ]);
+
+    const res = await request(app)
+      .get(`/api/users/${fan.id}/recommendations`)
+      .set("Cookie", fanCookie);
+
+    expect(res.body.map((suggestion) => suggestion.movie.id)).toEqual([
+      sameDirector.id,
+      bothGenres.id,
+    ]);
+    expect(res.body[0].basedOn).toEqual([{ id: base.id, title: base.title }]);
+  });
+
+  it("GET /api/users/:id/recommendations should be private", async () => {
+    const res = await request(app)
+      .get(`/api/users/${fan.id}/recommendations`)
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("Búsqueda de películas", () => {
+  let amelie, sequel, directed;
+
+  beforeAll(async () => {
+    // $text necesita que el índice de texto ya exista
+    await Movie.init();
+
+    [amelie, sequel, directed] = await Movie.create([
+      { title: "Amélie Zorblat", year: 2001, director: "Jean-Pierre Jeunet", genre: ["Comedy"] },
+      { title: "Zorblat Returns", year: 2005, director: "Someone Else", genre: ["Action"] },
+      { title: "Quiet Film", year: 1999, director: "Ana Zorblat", genre: ["Drama"] },
+    ]);
+  });
+
+  it("GET /movies/search should rank title matches above director matches", async () => {
+    const res = await request(app)
+      .get("/movies/search?q=zorblat")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(3);
+    expect(res.body.data.map((movie) => movie.id).slice(0, 2).sort()).toEqual(
+      [amelie.id, sequel.id].sort(),
+    );
+    expect(res.body.data[2]).toMatchObject({
+      id: directed.id,
+      highlights: { director: "Ana <mark>Zorblat</mark>" },
+    });
+    expect(res.body.data[0].score).toBeGreaterThan(res.body.data[2].score);
+  });
+
+  it("GET /movies/search should ignore case and accents", async () => {
+    const res = await request(app)
+      .get("/movies/search?q=AMELIE")
+      .set("Cookie", sessionCookie);
+
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].highlights).toEqual({ title: "<mark>Amélie</mark> Zorblat" });
+    expect(res.body.data[0]).not.toHaveProperty("searchTerms");
+  });
+
+  it("GET /movies/search should honour excluded words", async () => {
+    const res = await request(app)
+      .get("/movies/search?q=zorblat -returns")
+      .set("Cookie", sessionCookie);
+
+    expect(res.body.data.map((movie) => movie.id)).not.toContain(sequel.id);
+    expect(res.body.total).toBe(2);
+  });
+
+  it("GET /movies/search should require q", async () => {
+    const res = await request(app).get("/movies/search").set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({ field: "q", code: "REQUIRED" })]);
+  });
+
+  it("GET /movies/autocomplete should match word prefixes of the title", async () => {
+    const res = await request(app)
+      .get("/movies/autocomplete?q=zorb")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((movie) => movie.id).sort()).toEqual([amelie.id, sequel.id].sort());
+    expect(Object.keys(res.body[0]).sort()).toEqual(["id", "title", "year"]);
+  });
+
+  it("GET /movies/autocomplete should ignore case and accents", async () => {
+    const res = await request(app)
+      .get("/movies/autocomplete?q=AMÉLIE%20zor")
+      .set("Cookie", sessionCookie);
+    const unaccented = await request(app)
+      .get("/movies/autocomplete?q=ameli")
+      .set("Cookie", sessionCookie);
+
+    expect(res.body).toEqual([{ id: amelie.id, title: "Amélie Zorblat", year: 2001 }]);
+    expect(unaccented.body).toEqual(res.body);
+  });
+
+  it("GET /movies/autocomplete should follow title changes", async () => {
+    await request(app)
+      .patch(`/movies/${sequel.id}`)
+      .set("Cookie", adminCookie)
+      .send({ title: "Zorblat Forever" })
+      .expect(200);
+
+    const res = await request(app)
+      .get("/movies/autocomplete?q=forev&limit=5")
+      .set("Cookie", sessionCookie);
+
+    expect(res.body).toEqual([{ id: sequel.id, title: "Zorblat Forever", year: 2005 }]);
+  });
+});
+
+describe("Papelera", () => {
+  let movie, ownRating, otherRating, otherCookie;
+
+  const inTrash = (model, id) => model.exists({ _id: id, deletedAt: { $ne: null } });
+
+  beforeAll(async () => {
+    await User.create({ ...validUser, email: "trash@test.com", emailVerified: true });
+    otherCookie = await loginAs("trash@test.com");
+    movie = await Movie.create({ title: "Trashable", year: 2010, director: "Someone" });
+
+    ownRating = (
+      await request(app)
+        .post("/ratings")
+        .set("Cookie", sessionCookie)
+        .send({ movie: movie.id, text: "Deleted before the movie", score: 1 })
+    ).body;
+    otherRating = (
+      await request(app)
+        .post("/ratings")
+        .set("Cookie", otherCookie)
+        .send({ movie: movie.id, text: "Deleted along with the movie", score: 5 })
+    ).body;
+  });
+
+  it("DELETE /ratings/:id should move the rating to the trash", async () => {
+    const res = await request(app)
+      .delete(`/ratings/${ownRating.id}`)
+      .set("Cookie", sessionCookie);
+    const detail = await request(app)
+      .get(`/ratings/${ownRating.id}`)
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(204);
+    expect(detail.status).toBe(404);
+    expect(await inTrash(Rating, ownRating.id)).not.toBeNull();
+    expect((await Movie.findById(movie.id)).ratingsCount).toBe(1);
+  });
+
+  it("DELETE /movies/:id should move the movie and its ratings to the trash", async () => {
+    const res = await request(app).delete(`/movies/${movie.id}`).set("Cookie", adminCookie);
+    const detail = await request(app).get(`/movies/${movie.id}`).set("Cookie", sessionCookie);
+    const trash = await request(app).get("/trash/movies").set("Cookie", adminCookie);
+
+    expect(res.status).toBe(204);
+    expect(detail.status).toBe(404);
+    expect(trash.body.data[0]).toMatchObject({ id: movie.id, title: "Trashable" });
+    expect(trash.body.data[0].deletedAt).toBeTruthy();
+    expect(await Rating.exists({ movie: movie.id })).toBeNull();
+    expect(await inTrash(Rating, otherRating.id)).not.toBeNull();
+  });
+
+  it("GET /trash/ratings should list trashed ratings", async () => {
+    const res = await request(app).get("/trash/ratings").set("Cookie", adminCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((rating) => rating.id)).toEqual(
+      expect.arrayContaining([ownRating.id, otherRating.id]),
+    );
+  });
+
+  it("trash endpoints should be admin only", async () => {
+    const list = await request(app).get("/trash/movies").set("Cookie", sessionCookie);
+    const restore = await request(app)
+      .post(`/trash/movies/${movie.id}/restore`)
+      .set("Cookie", sessionCookie);
+
+    expect(list.status).toBe(403);
+    expect(restore.status).toBe(403);
+  });
+
+  it("POST /trash/ratings/:id/restore should require the movie to be restored first", async () => {
+    const res = await request(app)
+      .post(`/trash/ratings/${otherRating.id}/restore`)
+      .set("Cookie", adminCookie);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("MOVIE_IN_TRASH");
+  });
+
+  it("POST /trash/movies/:id/restore should bring back only the ratings deleted with it", async () => {
+    const res = await request(app)
+      .post(`/trash/movies/${movie.id}/restore`)
+      .set("Cookie", adminCookie);
+    const again = await request(app)
+      .post(`/trash/movies/${movie.id}/restore`)
+      .set("Cookie", adminCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: movie.id, deletedAt: null, ratingsCount: 1 });
+    expect(await Rating.exists({ _id: otherRating.id })).not.toBeNull();
+    expect(await inTrash(Rating, ownRating.id)).not.toBeNull();
+    expect(again.status).toBe(404);
+  });
+
+  it("POST /trash/ratings/:id/restore should restore the rating and the stats", async () => {
+    const res = await request(app)
+      .post(`/trash/ratings/${ownRating.id}/restore`)
+      .set("Cookie", adminCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.deletedAt).toBeNull();
+    expect((await Movie.findById(movie.id)).toJSON()).toMatchObject({
+      ratingsCount: 2,
+      averageScore: 3,
+    });
+  });
+
+  it("POST /ratings should replace the author's rating in the trash", async () => {
+    await request(app)
+      .delete(`/ratings/${ownRating.id}`)
+      .set("Cookie", sessionCookie)
+      .expect(204);
+
+    const res = await request(app)
+      .post("/ratings")
+      .set("Cookie", sessionCookie)
+      .send({ movie: movie.id, text: "Changed my mind about it", score: 3 });
+
+    expect(res.status).toBe(201);
+    expect(await inTrash(Rating, ownRating.id)).toBeNull();
+  });
+
+  it("DELETE /trash/ratings/:id should only purge trashed ratings", async () => {
+    const active = await request(app)
+      .delete(`/trash/ratings/${otherRating.id}`)
+      .set("Cookie", adminCookie);
+
+    await request(app)
+      .delete(`/ratings/${otherRating.id}`)
+      .set("Cookie", otherCookie)
+      .expect(204);
+    const res = await request(app)
+      .delete(`/trash/ratings/${otherRating.id}`)
+      .set("Cookie", adminCookie);
+
+    expect(active.status).toBe(404);
+    expect(res.status).toBe(204);
+    expect(await inTrash(Rating, otherRating.id)).toBeNull();
+  });
+
+  it("purgeExpired should purge only items older than the retention period", async () => {
+    const [old, recent] = await Movie.create([
+      { title: "Long Gone", year: 1990, director: "Someone" },
+      { title: "Recently Gone", year: 1990, director: "Someone" },
+    ]);
+    await request(app).delete(`/movies/${old.id}`).set("Cookie", adminCookie).expect(204);
+    await request(app).delete(`/movies/${recent.id}`).set("Cookie", adminCookie).expect(204);
+    await Movie.collection.updateOne({ _id: old._id }, { $set: { deletedAt: new Date(0) } });
+
+    const purged = await purgeExpired();
+
+    expect(purged.movies).toBe(1);
+    expect(await Movie.collection.findOne({ _id: old._id })).toBeNull();
+    expect(await inTrash(Movie, recent.id)).not.toBeNull();
+  });
+});
+
+describe("Historial de cambios", () => {
+  let movie, createEntry, ratingId;
+
+  const history = (path, query = "") =>
+    request(app).get(`${path}/history${query}`).set("Cookie", adminCookie);
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post("/movies")
+      .set("Cookie", adminCookie)
+      .send({ title: "Audited", year: 1999, director: "First Director" });
+    movie = res.body;
+  });
+
+  it("POST /movies should record a create entry", async () => {
+    const res = await history(`/movies/${movie.id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(1);
+    [createEntry] = res.body.data;
+    expect(createEntry).toMatchObject({ resourceType: "Movie", action: "create" });
+    expect(createEntry.actor.fullName).toBe(validUser.fullName);
+    expect(createEntry.changes).toContainEqual({
+      field: "director",
+      before: null,
+      after: "First Director",
+    });
+  });
+
+  it("PATCH /movies/:id should record a field-level diff with the request ID", async () => {
+    await request(app)
+      .patch(`/movies/${movie.id}`)
+      .set("Cookie", adminCookie)
+      .set("X-Request-Id", "audit-patch-1")
+      .send({ director: "Second Director", year: 2000, title: "Audited" })
+      .expect(200);
+
+    const res = await history(`/movies/${movie.id}`);
+
+    expect(res.body.data[0]).toMatchObject({
+      action: "update",
+      requestId: "audit-patch-1",
+      changes: [
+        { field: "year", before: 1999, after: 2000 },
+        { field: "director", before: "First Director", after: "Second Director" },
+      ],
+    });
+  });
+
+  it("an update that changes nothing should not be recorded", async () => {
+    await request(app)
+      .patch(`/movies/${movie.id}`)
+      .set("Cookie", adminCookie)
+      .send({ year: 2000 })
+      .expect(200);
+
+    expect((await history(`/movies/${movie.id}`)).body.total).toBe(2);
+  });
+
+  it("GET /movies/:id/history should filter by action, field and date", async () => {
+    const byAction = await history(`/movies/${movie.id}`, "?action=create");
+    const byField = await history(`/movies/${movie.id}`, "?field=year&action=update");
+    const future = await history(`/movies/${movie.id}`, "?from=2999-01-01");
+    const invalid = await history(`/movies/${movie.id}`, "?action=rename");
+
+    expect(byAction.body.data.map((entry) => entry.action)).toEqual(["create"]);
+    expect(byField.body.total).toBe(1);
+    expect(future.body.total).toBe(0);
+    expect(invalid.status).toBe(400);
+  });
+
+  it("history endpoints should be admin only", async () => {
+    const res = await request(app)
+      .get(`/movies/${movie.id}/history`)
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(403);
+  });
+
+  it("POST /movies/:id/revert should restore a previous revision", async () => {
+    const res = await request(app)
+      .post(`/movies/${movie.id}/revert`)
+      .set("Cookie", adminCookie)
+      .send({ revision: createEntry.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ year: 1999, director: "First Director" });
+
+    const [latest] = (await history(`/movies/${movie.id}`)).body.data;
+    expect(latest).toMatchObject({ action: "revert", revision: createEntry.id });
+    expect(latest.changes).toHaveLength(2);
+  });
+
+  it("POST /movies/:id/revert should reject revisions of other resources", async () => {
+    const res = await request(app)
+      .post(`/movies/${movie1.id}/revert`)
+      .set("Cookie", adminCookie)
+      .send({ revision: createEntry.id });
+
+    expect(res.status).toBe(404);
+  });
+
+  it("rating changes should be recorded", async () => {
+    const rating = await request(app)
+      .post("/ratings")
+      .set("Cookie", sessionCookie)
+      .send({ movie: movie.id, text: "Audited rating text", score: 4 });
+    await request(app)
+      .patch(`/ratings/${rating.body.id}`)
+      .set("Cookie", sessionCookie)
+      .send({ score: 5 })
+      .expect(200);
+
+    ratingId = rating.body.id;
+    const res = await history(`/ratings/${ratingId}`);
+
+    expect(res.body.data.map((entry) => entry.action)).toEqual(["update", "create"]);
+    expect(res.body.data[0].changes).toEqual([{ field: "score", before: 4, after: 5 }]);
+  });
+
+  it("history should survive deletion", async () => {
+    await request(app).delete(`/movies/${movie.id}`).set("Cookie", adminCookie).expect(204);
+
+    const res = await history(`/movies/${movie.id}`);
+
+    expect(res.body.data[0]).toMatchObject({ action: "delete" });
+    expect(res.body.data[0].changes[0]).toMatchObject({ field: "deletedAt", before: null });
+  });
+
+  it("ratings trashed, restored or purged with their movie should record it too", async () => {
+    const actions = async () =>
+      (await history(`/ratings/${ratingId}`)).body.data.map((entry) => entry.action);
+
+    const trashed = await history(`/ratings/${ratingId}`);
+    expect(trashed.body.data[0]).toMatchObject({ action: "delete" });
+    expect(trashed.body.data[0].changes[0]).toMatchObject({
+      field: "deletedAt",
+      before: null,
+    });
+
+    await request(app)
+      .post(`/trash/movies/${movie.id}/restore`)
+      .set("Cookie", adminCookie)
+      .expect(200);
+    expect(await actions()).toEqual(["restore", "delete", "update", "create"]);
+
+    await request(app).delete(`/movies/${movie.id}`).set("Cookie", adminCookie).expect(204);
+    await request(app)
+      .delete(`/trash/movies/${movie.id}`)
+      .set("Cookie", adminCookie)
+      .expect(204);
+    expect((await actions()).slice(0, 2)).toEqual(["purge", "delete"]);
+  });
+
+  it("deleting a user should record the deletion of their ratings", async () => {
+    const author = await User.create({
+      ...validUser,
+      email: "cascade@test.com",
+      emailVerified: true,
+    });
+    const rating = await request(app)
+      .post("/ratings")
+      .set("Cookie", await loginAs("cascade@test.com"))
+      .send({ movie: movie1.id, text: "Gone with its author", score: 3 })
+      .expect(201);
+
+    await request(app).delete(`/api/users/${author.id}`).set("Cookie", adminCookie).expect(204);
+
+    const res = await history(`/ratings/${rating.body.id}`);
+    expect(res.body.data.map((entry) => entry.action)).toEqual(["delete", "create"]);
+    expect(res.body.data[0].changes).toContainEqual(
+      expect.objectContaining({ field: "score", before: 3, after: null }),
+    );
+  });
+
+  it("user history should never contain passwords", async () => {
+    const res = await request(app)
+      .post("/api/users")
+      .send({ ...validUser, email: "audited@test.com" });
+    await User.updateOne({ _id: res.body.id }, { emailVerified: true });
+    const cookie = await loginAs("audited@test.com");
+
+    await request(app)
+      .patch(`/api/users/${res.body.id}`)
+      .set("Cookie", cookie)
+      .send({ password: "brand-new-secret", bio: "Audited bio" })
+      .expect(200);
+
+    const entries = await history(`/api/users/${res.body.id}`);
+    const serialized = JSON.stringify(entries.body);
+
+    expect(entries.body.data[0].changes).toContainEqual({
+      field: "password",
+      before: "[REDACTED]",
+      after: "[REDACTED]",
+    });
+    expect(serialized).not.toContain("brand-new-secret");
+    expect(serialized).not.toContain(validUser.password);
+    expect(serialized).not.toMatch(/\$2[aby]\$/);
+  });
+});
+
+describe("Peticiones condicionales", () => {
+  let movie;
+
+  const getMovie = (cookie = adminCookie) =>
+    request(app).get(`/movies/${movie.id}`).set("Cookie", cookie);
+
+  beforeAll(async () => {
+    movie = await Movie.create({ title: "Cached", year: 2015, director: "Someone" });
+  });
+
+  // El modo obligatorio no debe afectar al resto de tests
+  afterAll(async () => {
+    await request(app)
+      .patch("/settings")
+      .set("Cookie", adminCookie)
+      .send({ requireIfMatch: false });
+  });
+
+  it("GET /movies/:id should answer 304 to a matching If-None-Match", async () => {
+    const first = await getMovie();
+    const cached = await getMovie().set("If-None-Match", first.headers.etag);
+
+    expect(first.headers.etag).toMatch(/^"[\w-]+"$/);
+    expect(cached.status).toBe(304);
+    expect(cached.text).toBe("");
+  });
+
+  it("the ETag should change with the movie, its ratings and the watchlist", async () => {
+    const original = (await getMovie()).headers.etag;
+
+    await request(app)
+      .post("/ratings")
+      .set("Cookie", sessionCookie)
+      .send({ movie: movie.id, text: "A rating changes the movie", score: 4 })
+      .expect(201);
+    const rated = (await getMovie()).headers.etag;
+
+    const beforeWatchlist = (await getMovie(sessionCookie)).headers.etag;
+    await request(app)
+      .put(`/api/users/${user1.id}/watchlist/${movie.id}`)
+      .set("Cookie", sessionCookie)
+      .expect(201);
+    const afterWatchlist = (await getMovie(sessionCookie)).headers.etag;
+
+    expect(rated).not.toBe(original);
+    expect(afterWatchlist).not.toBe(beforeWatchlist);
+  });
+
+  it("the ETag should change when an author of the latest ratings renames", async () => {
+    const original = await getMovie();
+
+    await User.updateOne({ _id: user1.id }, { fullName: "Renamed User" });
+    const renamed = await getMovie().set("If-None-Match", original.headers.etag);
+    await User.updateOne({ _id: user1.id }, { fullName: validUser.fullName });
+
+    expect(renamed.status).toBe(200);
+    expect(renamed.body.ratings.map((rating) => rating.user.fullName)).toContain(
+      "Renamed User",
+    );
+  });
+
+  it("PATCH /movies/:id should only check the version read when If-Match is sent", async () => {
+    // Una valoración recalcula los agregados entre la lectura y la escritura
+    const read = async () => {
+      const stale = await Movie.findById(movie.id);
+      await Rating.updateMovieStats(movie._id);
+      return vi.spyOn(Movie, "findById").mockResolvedValueOnce(stale);
+    };
+
+    let findById = await read();
+    const unconditional = await request(app)
+      .patch(`/movies/${movie.id}`)
+      .set("Cookie", adminCookie)
+      .send({ director: "Last Write Wins" });
+    findById.mockRestore();
+
+    findById = await read();
+    const conditional = await request(app)
+      .patch(`/movies/${movie.id}`)
+      .set("Cookie", adminCookie)
+      .set("If-Match", "*")
+      .send({ director: "Optimistic" });
+    findById.mockRestore();
+
+    expect(unconditional.status).toBe(200);
+    expect(unconditional.body.director).toBe("Last Write Wins");
+    expect(conditional.status).toBe(409);
+    expect(conditional.body.code).toBe("EDIT_CONFLICT");
+  });
+
+  it("PATCH /movies/:id should return 412 for a stale If-Match", async () => {
+    const stale = (await getMovie()).headers.etag;
+
+    const first = await request(app)
+      .patch(`/movies/${movie.id}`)
+      .set("Cookie", adminCookie)
+      .set("If-Match", stale)
+      .send({ director: "First Editor" });
+    const second = await request(app)
+      .patch(`/movies/${movie.id}`)
+      .set("Cookie", adminCookie)
+      .set("If-Match", stale)
+      .send({ director: "Second Editor" });
+
+    expect(first.status).toBe(200);
+    expect(first.headers.etag).toBe((await getMovie()).headers.etag);
+    expect(second.status).toBe(412);
+    expect(second.body.code).toBe("PRECONDITION_FAILED");
+    expect(second.headers.etag).toBe(first.headers.etag);
+    expect((await Movie.findById(movie.id)).director).toBe("First Editor");
+  });
+
+  it("ratings and users should support ETags too", async () => {
+    const rating = await Rating.findOne({ movie: movie.id });
+    const ratingRes = await request(app)
+      .get(`/ratings/${rating.id}`)
+      .set("Cookie", sessionCookie);
+    const userRes = await request(app)
+      .get(`/api/users/${user1.id}`)
+      .set("Cookie", sessionCookie);
+    const cachedUser = await request(app)
+      .get(`/api/users/${user1.id}`)
+      .set("Cookie", sessionCookie)
+      .set("If-None-Match", userRes.headers.etag);
+
+    await request(app)
+      .patch(`/ratings/${rating.id}`)
+      .set("Cookie", sessionCookie)
+      .set("If-Match", ratingRes.headers.etag)
+      .send({ score: 5 })
+      .expect(200);
+    const staleDelete = await request(app)
+      .delete(`/ratings/${rating.id}`)
+      .set("Cookie", sessionCookie)
+      .set("If-Match", ratingRes.headers.etag);
+
+    expect(cachedUser.status).toBe(304);
+    expect(staleDelete.status).toBe(412);
+  });
+
+  it("admins should be able to make If-Match mandatory", async () => {
+    const member = await request(app)
+      .patch("/settings")
+      .set("Cookie", sessionCookie)
+      .send({ requireIfMatch: true });
+    const unknown = await request(app)
+      .patch("/settings")
+      .set("Cookie", adminCookie)
+      .send({ cacheEverything: true });
+    const enabled = await request(app)
+      .patch("/settings")
+      .set("Cookie", adminCookie)
+      .send({ requireIfMatch: true });
+
+    expect(member.status).toBe(403);
+    expect(unknown.status).toBe(400);
+    expect(enabled.body).toEqual({ requireIfMatch: true });
+
+    const missing = await request(app)
+      .patch(`/movies/${movie.id}`)
+      .set("Cookie", adminCookie)
+      .send({ director: "No Precondition" });
+    const wildcard = await request(app)
+      .patch(`/movies/${movie.id}`)
+      .set("Cookie", adminCookie)
+      .set("If-Match", "*")
+      .send({ director: "Any Version" });
+
+    expect(missing.status).toBe(428);
+    expect(missing.body.code).toBe("PRECONDITION_REQUIRED");
+    expect(wildcard.status).toBe(200);
+  });
+});
+
+// =============================================
+// Configuración, salud y apagado
+// =============================================
+
+describe("Configuración, salud y apagado", () => {
+  it("GET /health should answer without a session", async () => {
+    const res = await request(app).get("/health");
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("ok");
+  });
+
+  it("GET /ready should report the MongoDB connection state", async () => {
+    const ready = await request(app).get("/ready");
+
+    const readyState = vi.spyOn(mongoose.connection, "readyState", "get").mockReturnValue(2);
+    const connecting = await request(app).get("/ready");
+    readyState.mockRestore();
+
+    expect(ready.status).toBe(200);
+    expect(ready.body).toEqual({ status: "ready", checks: { mongo: "connected" } });
+    expect(connecting.status).toBe(503);
+    expect(connecting.body).toEqual({ status: "unavailable", checks: { mongo: "connecting" } });
+  });
+
+  it("loadConfig should apply defaults and list every invalid variable", () => {
+    expect(loadConfig({})).toMatchObject({
+      env: "development",
+      port: 3000,
+      mongodbUri: "mongodb://localhost:27017/movies-db",
+      logLevel: "info",
+    });
+    expect(
+      loadConfig({ MONGODB_URI: "mongodb://db1:27017,db2:27017/movies?replicaSet=rs0" })
+        .mongodbUri,
+    ).toMatch(/replicaSet=rs0$/);
+
+    expect(() =>
+      loadConfig({ PORT: "http", MONGODB_URI: "localhost", LOG_LEVEL: "verbose" }),
+    ).toThrow(/PORT[\s\S]*MONGODB_URI[\s\S]*LOG_LEVEL/);
+  });
+
+  it("loadConfig should validate the settings of every module", () => {
+    expect(
+      loadConfig({ RATE_LIMIT_RATINGS_MAX: "60", REQUIRE_IF_MATCH: "true" }),
+    ).toMatchObject({
+      rateLimits: { ratings: { max: 60, windowMs: 15 * 60 * 1000 } },
+      requireIfMatch: true,
+      trashRetentionMs: 30 * 24 * 60 * 60 * 1000,
+      mailTransport: "console",
+    });
+
+    const invalid = {
+      TRASH_RETENTION_DAYS: "0",
+      SESSION_IDLE_TIMEOUT_MINUTES: "abc",
+      RATE_LIMIT_USERS_WINDOW_MINUTES: "-5",
+      UNVERIFIED_ACCESS: "some",
+      REQUIRE_IF_MATCH: "yes",
+      LEGACY_ROUTES_SUNSET: "someday",
+      MAIL_TRANSPORT: "smtp",
+    };
+    const error = (() => {
+      try {
+        loadConfig(invalid);
+      } catch (err) {
+        return err;
+      }
+    })();
+
+    for (const name of Object.keys(invalid)) {
+      expect(error?.message).toContain(name);
+    }
+  });
+
+  it("loadConfig should require a strong secret in production", () => {
+    expect(() => loadConfig({ NODE_ENV: "production" })).toThrow(
+      /EMAIL_VERIFICATION_SECRET is required/,
+    );
+    expect(() =>
+      loadConfig({ NODE_ENV: "production", EMAIL_VERIFICATION_SECRET: "short" }),
+    ).toThrow(/at least 32 characters/);
+    expect(
+      loadConfig({ NODE_ENV: "production", EMAIL_VERIFICATION_SECRET: "s".repeat(32) }).env,
+    ).toBe("production");
+  });
+
+  it("connectDatabase should retry with backoff and give up after the last retry", async () => {
+    setDestination(createMemoryDestination());
+    const connect = vi
+      .spyOn(mongoose, "connect")
+      .mockRejectedValueOnce(new Error("down"))
+      .mockRejectedValueOnce(new Error("down"))
+      .mockResolvedValueOnce(mongoose);
+
+    await connectDatabase({ retries: 2, delayMs: 1 });
+    const attempts = connect.mock.calls.length;
+    const waits = getDestination().entries
+      .filter((entry) => entry.level === "warn")
+      .map((entry) => entry.retryInMs);
+
+    connect.mockRejectedValue(new Error("still down"));
+    await expect(connectDatabase({ retries: 1, delayMs: 1 })).rejects.toThrow("still down");
+
+    connect.mockRestore();
+
+    expect(attempts).toBe(3);
+    expect(waits).toEqual([1, 2]);
+  });
+
+  it("shutdown should drain in-flight requests before closing MongoDB", async () => {
+    const { createServer } = await import("node:http");
+    const server = createServer((req, res) => setTimeout(() => res.end("done"), 100));
+    await new Promise((resolve) => server.listen(0, resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    const disconnect = vi.spyOn(mongoose, "disconnect").mockResolvedValue();
+    const inFlight = fetch(url).then((res) => res.text());
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    await shutdown(server, { timeoutMs: 5000 });
+    const disconnected = disconnect.mock.calls.length;
+    disconnect.mockRestore();
+
+    expect(await inFlight).toBe("done");
+    expect(server.listening).toBe(false);
+    expect(disconnected).toBe(1);
+    await expect(fetch(url)).rejects.toThrow();
+  });
+
+  // Va el último: una vez recibida la señal, /ready responde 503 hasta que termina el proceso
+  it("GET /ready should answer 503 once a shutdown signal arrives", async () => {
+    const { createServer } = await import("node:http");
+    const server = createServer();
+    await new Promise((resolve) => server.listen(0, resolve));
+    const signals = ["SIGTERM", "SIGINT"];
+    const previous = signals.map((signal) => process.listeners(signal));
+
+    const exit = vi.spyOn(process, "exit").mockImplementation(() => {});
+    const disconnect = vi.spyOn(mongoose, "disconnect").mockResolvedValue();
+
+    handleShutdownSignals(server);
+    process.emit("SIGTERM", "SIGTERM");
+    const res = await request(app).get("/ready");
+    await vi.waitFor(() => expect(exit).toHaveBeenCalledWith(0));
+
+    exit.mockRestore();
+    disconnect.mockRestore();
+    signals.forEach((signal, i) =>
+      process
+        .listeners(signal)
+        .filter((listener) => !previous[i].includes(listener))
+        .forEach((listener) => process.removeListener(signal, listener)),
+    );
+
+    expect(res.status).toBe(503);
+    expect(res.body).toEqual({ status: "shutting-down", checks: { mongo: "connected" } });
+  });
+});
+
+// =============================================
+// Logs estructurados
+// =============================================
+
+describe("Logs estructurados", () => {
+  beforeEach(() => {
+    setDestination(createMemoryDestination());
+  });
+
+  it("should log each request with its id, status, latency and user", async () => {
+    const res = await request(app)
+      .get(`/movies/${movie1.id}`)
+      .set("Cookie", adminCookie)
+      .set("X-Request-Id", "log-test-1");
+
+    expect(res.headers["x-request-id"]).toBe("log-test-1");
+
+    const admin = await User.findOne({ email: "admin@test.com" });
+    const entry = getDestination().entries.find(
+      (e) => e.message === "request completed" && e.requestId === "log-test-1",
+    );
+
+    expect(entry).toMatchObject({
+      level: "info",
+      method: "GET",
+      url: `/movies/${movie1.id}`,
+      status: 200,
+      user: admin.id,
+    });
+    expect(entry.durationMs).toBeTypeOf("number");
+    expect(new Date(entry.time).getTime()).not.toBeNaN();
+  });
+
+  it("should log client errors as warnings with a generated request id", async () => {
+    const res = await request(app).get("/movies");
+    const entry = getDestination().entries.find((e) => e.message === "request completed");
+
+    expect(res.status).toBe(401);
+    expect(entry).toMatchObject({ level: "warn", status: 401 });
+    expect(entry.requestId).toBe(res.headers["x-request-id"]);
+  });
+
+  it("should attach the request id to lines logged while handling the request", async () => {
+    const { requestId } = await import("./middlewares/request-id.middleware.js");
+    const { default: express } = await import("express");
+    const mini = express();
+    mini.use(requestId);
+    mini.get("/work", async (req, res) => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      logger.info("doing work");
+      res.end();
+    });
+
+    await request(mini).get("/work").set("X-Request-Id", "log-test-2");
+    logger.info("outside any request");
+
+    const [inside, outside] = getDestination().entries;
+    expect(inside).toMatchObject({ message: "doing work", requestId: "log-test-2" });
+    expect(outside.requestId).toBeUndefined();
+  });
+
+  it("should redact passwords, cookies and tokens everywhere", async () => {
+    logger.info("login attempt", {
+      body: { email: "a@b.com", password: "secret123" },
+      headers: { Cookie: "sessionId=abc123", "user-agent": "test" },
+      url: "/api/users/verify-email?token=signed.token",
+      error: new Error("bad cookie sessionId=abc123"),
+    });
+
+    const [entry] = getDestination().entries;
+    const text = JSON.stringify(entry);
+
+    expect(entry.body).toEqual({ email: "a@b.com", password: "[REDACTED]" });
+    expect(entry.headers).toEqual({ Cookie: "[REDACTED]", "user-agent": "test" });
+    expect(entry.url).toBe("/api/users/verify-email?token=[REDACTED]");
+    expect(entry.error.message).toBe("bad cookie sessionId=[REDACTED]");
+    expect(text).not.toMatch(/secret123|abc123|signed\.token/);
+  });
+
+  it("the console mail transport should log the recipient but not the text", async () => {
+    const { createConsoleTransport } = await import("./services/mailer.service.js");
+    await createConsoleTransport().send({
+      to: "a@b.com",
+      subject: "Reset your password",
+      text: "http://localhost/password-reset?token=abc123",
+    });
+
+    expect(getDestination().entries).toEqual([
+      expect.objectContaining({
+        level: "info",
+        message: "mail sent",
+        to: "a@b.com",
+        subject: "Reset your password",
+      }),
+    ]);
+    expect(JSON.stringify(getDestination().entries)).not.toMatch(/abc123|password-reset/);
+  });
+
+  it("should skip entries below the configured level", () => {
+    setLogLevel("warn");
+    logger.info("hidden");
+    logger.warn("shown");
+    setLogLevel("info");
+
+    expect(getDestination().entries.map((e) => e.message)).toEqual(["shown"]);
+    expect(() => setLogLevel("verbose")).toThrow();
+  });
+});
+
+// =============================================
+// API versionada y rutas antiguas
+// =============================================
+
+describe("API versionada y rutas antiguas", () => {
+  it("GET /api/v1/movies should serve the same data without deprecation headers", async () => {
+    const current = await request(app).get("/api/v1/movies").set("Cookie", sessionCookie);
+    const legacy = await request(app).get("/movies").set("Cookie", sessionCookie);
+
+    expect(current.status).toBe(200);
+    expect(current.headers).not.toHaveProperty("deprecation");
+    expect(current.headers).not.toHaveProperty("sunset");
+    expect(legacy.body).toEqual(current.body);
+  });
+
+  it("legacy routes should announce their deprecation and log each use", async () => {
+    setDestination(createMemoryDestination());
+    const res = await request(app)
+      .get(`/api/users/${user1.id}/watchlist`)
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.headers.deprecation).toMatch(/^@\d+$/);
+    expect(new Date(res.headers.sunset).getTime()).toBeGreaterThan(Date.now());
+    expect(res.headers.link).toBe(
+      `</api/v1/users/${user1.id}/watchlist>; rel="successor-version"`,
+    );
+    expect(getDestination().entries).toContainEqual(
+      expect.objectContaining({
+        level: "warn",
+        message: "deprecated route used",
+        path: `/api/users/${user1.id}/watchlist`,
+        successor: `/api/v1/users/${user1.id}/watchlist`,
+      }),
+    );
+  });
+
+  it("public routes should stay public under both prefixes", async () => {
+    const credentials = { email: "admin@test.com", password: validUser.password };
+    const current = await request(app).post("/api/v1/users/login").send(credentials);
+    const legacy = await request(app).post("/api/users/login").send(credentials);
+
+    expect(current.status).toBe(200);
+    expect(current.headers["set-cookie"]).toBeDefined();
+    expect(legacy.status).toBe(200);
+    expect(legacy.headers.deprecation).toBeDefined();
+  });
+
+  it("should not serve the API outside the known prefixes", async () => {
+    const unversioned = await request(app).get("/users").set("Cookie", sessionCookie);
+    const mixed = await request(app).get("/api/movies").set("Cookie", sessionCookie);
+
+    expect(unversioned.status).toBe(404);
+    expect(mixed.status).toBe(404);
+  });
+
+  it("pagination links should point to the versioned routes", async () => {
+    const res = await request(app).get("/movies?limit=1").set("Cookie", sessionCookie);
+
+    expect(res.body.next).toMatch(/^\/api\/v1\/movies\?/);
+  });
+
+  it("createApiRouter should let a new version replace a single controller", async () => {
+    const { createApiRouter, V1_CONTROLLERS } = await import("./config/routes.config.js");
+    const { default: express } = await import("express");
+    const v2 = express();
+    v2.use(express.json());
+    v2.use(
+      "/api/v2",
+      createApiRouter({
+        ...V1_CONTROLLERS,
+        movieController: {
+          ...V1_CONTROLLERS.movieController,
+          list: async (req, res) => res.json({ version: 2 }),
+        },
+      }),
+    );
+
+    const movies = await request(v2).get("/api/v2/movies").set("Cookie", sessionCookie);
+    const ratings = await request(v2).get("/api/v2/ratings").set("Cookie", sessionCookie);
+    const anonymous = await request(v2).get("/api/v2/movies");
+
+    expect(movies.body).toEqual({ version: 2 });
+    expect(ratings.status).toBe(200);
+    expect(Array.isArray(ratings.body)).toBe(true);
+    expect(anonymous.status).toBe(401);
+  });
+
+  it("the OpenAPI spec should describe the v1 paths", async () => {
+    const res = await request(app).get("/openapi.json");
+
+    expect(res.body.servers[0].url).toMatch(/\/api\/v1$/);
+    expect(res.body.paths).toHaveProperty("/users/{id}");
+    expect(res.body.paths).not.toHaveProperty("/api/users/{id}");
+  });
+});
+
+// =============================================
+// Valoraciones de una película
+// =============================================
+
+describe("Valoraciones de una película", () => {
+  const SCORES = [3, 5, 1, 4, 5, 2, 3];
+  let movie, ratings, reviewerCookie;
+
+  // Ids de las valoraciones en el orden de `indexes` (posiciones en SCORES)
+  const idsOf = (indexes) => indexes.map((i) => ratings[i].id);
+  const url = () => `/api/v1/movies/${movie.id}/ratings`;
+
+  beforeAll(async () => {
+    movie = await Movie.create({ title: "Rashomon", year: 1950, director: "Akira Kurosawa" });
+    ratings = [];
+
+    // Una a una para que los _id sigan el orden de creación
+    for (const [i, score] of SCORES.entries()) {
+      const user = await User.create({ ...validUser, email: `reviewer${i}@test.com` });
+      ratings.push(
+        await Rating.create({
+          movie: movie._id,
+          user: user._id,
+          score,
+          text: `Review number ${i} of this film`,
+        }),
+      );
+    }
+    await Rating.updateMovieStats(movie._id);
+
+    await User.create({ ...validUser, email: "critic@test.com", emailVerified: true });
+    reviewerCookie = await loginAs("critic@test.com");
+  });
+
+  it("GET /movies/:id/ratings should list the newest ratings first", async () => {
+    const res = await request(app).get(`${url()}?limit=3`).set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 7, page: 1, limit: 3, totalPages: 3 });
+    expect(res.body.data.map((r) => r.id)).toEqual(idsOf([6, 5, 4]));
+    expect(res.body.data[0].user.fullName).toBe("Test User");
+    expect(res.body.data[0].user).not.toHaveProperty("email");
+    expect(res.body.next).toMatch(/^\/api\/v1\/movies\/\w+\/ratings\?.*page=2/);
+    expect(res.body.nextCursor).toEqual(expect.any(String));
+  });
+
+  it("should sort by oldest, highest and lowest score", async () => {
+    const ids = async (sort) => {
+      const res = await request(app).get(`${url()}?sort=${sort}`).set("Cookie", sessionCookie);
+      return res.body.data.map((r) => r.id);
+    };
+
+    expect(await ids("oldest")).toEqual(idsOf([0, 1, 2, 3, 4, 5, 6]));
+    expect(await ids("highest")).toEqual(idsOf([4, 1, 3, 6, 0, 5, 2]));
+    expect(await ids("lowest")).toEqual(idsOf([2, 5, 6, 0, 3, 4, 1]));
+
+    const invalid = await request(app).get(`${url()}?sort=random`).set("Cookie", sessionCookie);
+    expect(invalid.status).toBe(400);
+  });
+
+  it("every sort should be backed by an index on the movie's ratings", async () => {
+    const { RATING_SORTS } = await import("./models/rating.model.js");
+    await Rating.init();
+    const indexes = (await Rating.collection.indexes()).map(({ key }) => JSON.stringify(key));
+
+    // MongoDB puede recorrer un índice en los dos sentidos
+    const reversed = (sort) =>
+      Object.fromEntries(Object.entries(sort).map(([field, dir]) => [field, -dir]));
+    const backed = (sort) =>
+      [sort, reversed(sort)].some((order) =>
+        indexes.includes(JSON.stringify({ movie: 1, ...order })),
+      );
+
+    for (const sort of Object.values(RATING_SORTS)) {
+      expect(backed(sort)).toBe(true);
+    }
+  });
+
+  it("should filter by score", async () => {
+    const high = await request(app).get(`${url()}?minScore=4`).set("Cookie", sessionCookie);
+    const middle = await request(app)
+      .get(`${url()}?minScore=2&maxScore=3&sort=oldest`)
+      .set("Cookie", sessionCookie);
+    const inverted = await request(app)
+      .get(`${url()}?minScore=4&maxScore=2`)
+      .set("Cookie", sessionCookie);
+
+    expect(high.body.total).toBe(3);
+    expect(high.body.data.every((r) => r.score >= 4)).toBe(true);
+    expect(middle.body.data.map((r) => r.id)).toEqual(idsOf([0, 5, 6]));
+    expect(inverted.status).toBe(400);
+    expect(inverted.body.code).toBe("INVALID_QUERY");
+  });
+
+  it("should return 404 for an unknown movie", async () => {
+    const res = await request(app)
+      .get(`/api/v1/movies/${fakeId}/ratings`)
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(404);
+  });
+
+  it("should walk every rating with cursors and reject foreign cursors", async () => {
+    const seen = [];
+    let res = await request(app).get(`${url()}?sort=highest&limit=3`).set("Cookie", sessionCookie);
+    seen.push(...res.body.data.map((r) => r.id));
+
+    while (res.body.nextCursor) {
+      res = await request(app)
+        .get(`${url()}?sort=highest&limit=3&cursor=${res.body.nextCursor}`)
+        .set("Cookie", sessionCookie);
+      expect(res.body).not.toHaveProperty("total");
+      seen.push(...res.body.data.map((r) => r.id));
+    }
+
+    expect(seen).toEqual(idsOf([4, 1, 3, 6, 0, 5, 2]));
+    expect(res.body.next).toBeNull();
+
+    const first = await request(app).get(`${url()}?limit=3`).set("Cookie", sessionCookie);
+    const otherSort = await request(app)
+      .get(`${url()}?sort=oldest&cursor=${first.body.nextCursor}`)
+      .set("Cookie", sessionCookie);
+    const garbage = await request(app).get(`${url()}?cursor=nope`).set("Cookie", sessionCookie);
+
+    expect(otherSort.status).toBe(400);
+    expect(otherSort.body.code).toBe("INVALID_CURSOR");
+    expect(garbage.status).toBe(400);
+  });
+
+  it("POST /movies/:id/ratings should take the movie from the path", async () => {
+    const first = await request(app).get(`${url()}?limit=3`).set("Cookie", sessionCookie);
+
+    const res = await request(app)
+      .post(url())
+      .set("Cookie", reviewerCookie)
+      .send({ movie: movie2.id, text: "A masterpiece about truth", score: 5 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.movie).toBe(movie.id);
+    expect(res.body.user.fullName).toBe("Test User");
+    expect((await Movie.findById(movie.id)).ratingsCount).toBe(8);
+
+    // La valoración nueva no desplaza lo que queda detrás del cursor
+    const next = await request(app)
+      .get(`${url()}?limit=3&cursor=${first.body.nextCursor}`)
+      .set("Cookie", sessionCookie);
+    expect(next.body.data.map((r) => r.id)).toEqual(idsOf([3, 2, 1]));
+
+    const invalid = await request(app)
+      .post(`/api/v1/movies/${fakeId}/ratings`)
+      .set("Cookie", reviewerCookie)
+      .send({ text: "This movie does not exist", score: 3 });
+    expect(invalid.status).toBe(404);
+  });
+
+  it("GET /movies/:id should embed only a preview of the newest ratings", async () => {
+    const res = await request(app).get(`/movies/${movie.id}`).set("Cookie", sessionCookie);
+    const { config } = await import("./config/env.config.js");
+
+    expect(res.body.ratingsCount).toBe(8);
+    expect(res.body.ratings).toHaveLength(config.movieRatingsPreview);
+    expect(res.body.ratings[0].text).toBe("A masterpiece about truth");
+    expect(res.body.ratings[1].id).toBe(ratings[6].id);
+  });
+});
+
+// =============================================
+// Errores — Middleware centralizado
+// =============================================
+
+describe("Middleware de errores", () => {
+  it("GET /unknown should return 404 with JSON error", async () => {
+    const res = await request(app)
+      .get("/unknown")
+      .set("Cookie", sessionCookie);
+
+    expect(res.status).toBe(404);
+    expect(res.headers["content-type"]).toMatch(/application\/problem\+json/);
+    expect(res.body).toMatchObject({
+      status: 404,
+      title: "Not Found",
+      code: "ROUTE_NOT_FOUND",
+      instance: "/unknown",
+    });
+  });
+
+  it("should echo the request id in the header and in the body", async () => {
+    const res = await request(app)
+      .get("/unknown")
+      .set("Cookie", sessionCookie)
+      .set("X-Request-Id", "client-trace-42");
+
+    expect(res.headers["x-request-id"]).toBe("client-trace-42");
+    expect(res.body.requestId).toBe("client-trace-42");
+  });
+
+  it("should generate a request id when none is sent", async () => {
+    const res = await request(app).get("/movies");
+
+    expect(res.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.body.requestId).toBe(res.headers["x-request-id"]);
+  });
+
+  it("should list the fields of a validation error with their codes", async () => {
+    const res = await request(app)
+      .post("/api/users")
+      .send({ ...validUser, email: "invalid-email", password: "123" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    expect(res.body.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ field: "email", code: "INVALID_FORMAT" }),
+        expect.objectContaining({ field: "password", code: "TOO_SHORT" }),
+      ]),
+    );
+  });
+
+  it("should name the conflicting field of a duplicate", async () => {
+    const res = await request(app).post("/api/users").send(validUser);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("DUPLICATE_KEY");
+    expect(res.body.errors).toEqual([
+      expect.objectContaining({ field: "email", code: "ALREADY_EXISTS" }),
+    ]);
+  });
+
+  it("should use specific codes for errors clients need to tell apart", async () => {
+    const res = await request(app)
+      .post("/api/users/login")
+      .send({ email: validUser.email, password: "wrong-password" });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("INVALID_CREDENTIALS");
+  });
+
+  it("should hide the details of unexpected errors", async () => {
+    const { errorHandler } = await import("./middlewares/error-handler.middleware.js");
+    const { default: express } = await import("express");
+    const broken = express();
+    broken.get("/boom", () => {
+      throw new Error("connection string mongodb://secret@db");
+    });
+    broken.use(errorHandler);
+
+    setDestination(createMemoryDestination());
+    const res = await request(broken).get("/boom");
+    expect(getDestination().entries).toContainEqual(
+      expect.objectContaining({ level: "error", message: "unhandled error" }),
+    );
+
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({
+      code: "INTERNAL_ERROR",
+      detail: "Internal server error",
+    });
+    expect(JSON.stringify(res.body)).not.toMatch(/secret/);
   });
 });
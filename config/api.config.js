@@ -0,0 +1,18 @@
+import { config } from "./env.config.js";
+
+// Prefijo bajo el que se sirve la API (ver createApiRouter en config/routes.config.js)
+export const API_PREFIX = "/api/v1";
+
+// Rutas anteriores a /api/v1 que siguen funcionando como alias de su equivalente
+// versionada, pero avisan de que se retirarán con las cabeceras Deprecation y Sunset
+export const LEGACY_PREFIXES = {
+  "/movies": "/movies",
+  "/ratings": "/ratings",
+  "/trash": "/trash",
+  "/settings": "/settings",
+  "/api/users": "/users",
+};
+
+// Desde cuándo están obsoletas y cuándo dejarán de responder
+export const LEGACY_DEPRECATED_AT = new Date("2026-10-19T00:00:00Z");
+export const LEGACY_SUNSET_AT = config.legacyRoutesSunset;
@@ -1,9 +1,76 @@
+import { setTimeout as sleep } from "node:timers/promises";
 import mongoose from "mongoose";
+import { config } from "./env.config.js";
+import { logger } from "../services/logger.service.js";
 
-const MONGODB_URI =
-  process.env.MONGODB_URI || "mongodb://localhost:27017/movies-db";
+// Conecta con MongoDB reintentando con espera exponencial (1 s, 2 s, 4 s… hasta el
+// máximo). Si se agotan los reintentos lanza el último error, para que quien
+// arranca el proceso termine en vez de servir peticiones sin base de datos.
+// `serverSelectionTimeoutMs` acota cada intento (el driver espera 30 s por defecto).
+export async function connectDatabase({
+  uri = config.mongodbUri,
+  retries = config.mongodbConnectRetries,
+  delayMs = config.mongodbRetryDelayMs,
+  maxDelayMs = config.mongodbRetryMaxDelayMs,
+  serverSelectionTimeoutMs,
+} = {}) {
+  const options = serverSelectionTimeoutMs
+    ? { serverSelectionTimeoutMS: serverSelectionTimeoutMs }
+    : {};
 
-mongoose
-  .connect(MONGODB_URI)
-  .then(() => console.log(`Connected to MongoDB: ${MONGODB_URI}`))
-  .catch((err) => console.error("Error connecting to MongoDB:", err));
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await mongoose.connect(uri, options);
+      logger.info("connected to MongoDB", { uri: redactUri(uri) });
+      return mongoose.connection;
+    } catch (err) {
+      if (attempt >= retries) {
+        throw err;
+      }
+
+      const wait = Math.min(delayMs * 2 ** attempt, maxDelayMs);
+      logger.warn("error connecting to MongoDB, retrying", {
+        attempt: attempt + 1,
+        attempts: retries + 1,
+        retryInMs: wait,
+        error: err,
+      });
+      await sleep(wait);
+    }
+  }
+}
+
+// Oculta la contraseña de la URI para poder registrarla
+function redactUri(uri) {
+  return uri.replace(/\/\/([^:/@]+):[^@]*@/, "//$1:***@");
+}
+
+// Ejecuta fn(session) dentro de una transacción. Las transacciones requieren un
+// replica set: en un MongoDB standalone (el habitual en local) fn se ejecuta
+// igualmente, pero sin transacción (session === null).
+export async function withTransaction(fn) {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) {
+      throw err;
+    }
+
+    return fn(null);
+  } finally {
+    await session.endSession();
+  }
+}
+
+function isTransactionUnsupported(err) {
+  return (
+    err.code === 20 ||
+    /Transaction numbers are only allowed/.test(err.message)
+  );
+}
@@ -0,0 +1,217 @@
+// Configuración general leída del entorno. Se valida al importarse: un valor
+// incorrecto detiene el arranque con la lista de variables que hay que corregir,
+// en vez de fallar más tarde en mitad de una petición.
+export const NODE_ENVS = ["development", "test", "production"];
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const UNVERIFIED_ACCESS_VALUES = ["full", "read-only", "none"];
+export const MAIL_TRANSPORTS = ["console", "file", "memory"];
+
+// Presupuestos de rate limiting por defecto (ver config/rate-limit.config.js). Cada
+// uno se ajusta con RATE_LIMIT_<NOMBRE>_MAX y RATE_LIMIT_<NOMBRE>_WINDOW_MINUTES.
+const RATE_LIMIT_BUDGETS = {
+  register: { minutes: 60, max: 10 },
+  login: { minutes: 1, max: 10 },
+  movies: { minutes: 15, max: 100 },
+  ratings: { minutes: 15, max: 30 },
+  users: { minutes: 15, max: 30 },
+};
+
+const DEV_EMAIL_VERIFICATION_SECRET = "dev-email-verification-secret";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Cada lector recibe el valor (ya sin espacios, undefined si falta) y devuelve el
+// valor convertido, o lanza un error cuyo mensaje completa "<VARIABLE> ..."
+function integer(min, max) {
+  return (value) => {
+    const number = Number(value);
+
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`must be an integer between ${min} and ${max}`);
+    }
+
+    return number;
+  };
+}
+
+function oneOf(values) {
+  return (value) => {
+    if (!values.includes(value)) {
+      throw new Error(`must be one of ${values.join(", ")}`);
+    }
+
+    return value;
+  };
+}
+
+function boolean(value) {
+  if (!["true", "false"].includes(value)) {
+    throw new Error("must be true or false");
+  }
+
+  return value === "true";
+}
+
+function date(value) {
+  const parsed = new Date(value);
+
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error("must be a valid date");
+  }
+
+  return parsed;
+}
+
+// Como el ajuste "trust proxy" de Express: número de proxies, true/false o una
+// lista de IPs y subredes ("loopback, 10.0.0.0/8")
+function trustProxy(value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  return ["true", "false"].includes(value) ? value === "true" : value;
+}
+
+function httpUrl(value) {
+  if (!URL.canParse(value) || !/^https?:$/.test(new URL(value).protocol)) {
+    throw new Error("must be an http:// or https:// URL");
+  }
+
+  return value.replace(/\/+$/, "");
+}
+
+// new URL() no admite las URIs con varios hosts de un replica set
+function mongodbUri(value) {
+  if (!/^mongodb(\+srv)?:\/\/[^\s/]+/.test(value)) {
+    throw new Error("must be a mongodb:// or mongodb+srv:// connection string");
+  }
+
+  return value;
+}
+
+export function loadConfig(env = process.env) {
+  const errors = [];
+
+  function read(name, parse, fallback) {
+    const value = env[name]?.trim() || undefined;
+
+    if (value === undefined) {
+      return fallback;
+    }
+
+    try {
+      return parse(value);
+    } catch (err) {
+      errors.push(`${name} ${err.message}`);
+      return fallback;
+    }
+  }
+
+  const nodeEnv = read("NODE_ENV", oneOf(NODE_ENVS), "development");
+  const port = read("PORT", integer(1, 65535), 3000);
+  const production = nodeEnv === "production";
+
+  const config = {
+    env: nodeEnv,
+    port,
+    appUrl: read("APP_URL", httpUrl, `http://localhost:${port}`),
+    // Proxies de los que se acepta X-Forwarded-For. De ahí sale req.ip, con el que
+    // se cuentan los logins fallidos y el rate limiting de quien no tiene sesión.
+    trustProxy: read("TRUST_PROXY", trustProxy, false),
+    mongodbUri: read("MONGODB_URI", mongodbUri, "mongodb://localhost:27017/movies-db"),
+    // Reintentos al conectar con MongoDB: la espera empieza en el retraso
+    // inicial y se duplica en cada intento hasta el máximo
+    mongodbConnectRetries: read("MONGODB_CONNECT_RETRIES", integer(0, 100), 5),
+    mongodbRetryDelayMs: read("MONGODB_RETRY_DELAY_MS", integer(1, 60000), 1000),
+    mongodbRetryMaxDelayMs: read("MONGODB_RETRY_MAX_DELAY_MS", integer(1, 600000), 30000),
+    emailVerificationSecret: read(
+      "EMAIL_VERIFICATION_SECRET",
+      (value) => {
+        if (production && value.length < 32) {
+          throw new Error("must be at least 32 characters long in production");
+        }
+
+        return value;
+      },
+      DEV_EMAIL_VERIFICATION_SECRET,
+    ),
+    logLevel: read("LOG_LEVEL", oneOf(LOG_LEVELS), "info"),
+    // Valoraciones más recientes que se incluyen en GET /movies/:id
+    movieRatingsPreview: read("MOVIE_RATINGS_PREVIEW", integer(1, 50), 5),
+    // Tiempo que se espera a las peticiones en curso al apagar el servidor
+    shutdownTimeoutMs: read("SHUTDOWN_TIMEOUT_SECONDS", integer(1, 600), 10) * 1000,
+
+    sessionIdleTimeoutMs:
+      read("SESSION_IDLE_TIMEOUT_MINUTES", integer(1, 7 * 24 * 60), 30) * MINUTE,
+    sessionMaxAgeMs: read("SESSION_MAX_AGE_HOURS", integer(1, 365 * 24), 24) * HOUR,
+
+    rateLimits: Object.fromEntries(
+      Object.entries(RATE_LIMIT_BUDGETS).map(([name, { minutes, max }]) => {
+        const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+
+        return [
+          name,
+          {
+            windowMs:
+              read(`${prefix}_WINDOW_MINUTES`, integer(1, 24 * 60), minutes) * MINUTE,
+            max: read(`${prefix}_MAX`, integer(1, 100000), max),
+          },
+        ];
+      }),
+    ),
+    loginFailureWindowMs:
+      read("LOGIN_FAILURE_WINDOW_MINUTES", integer(1, 24 * 60), 15) * MINUTE,
+    loginAccountLockout: read("LOGIN_ACCOUNT_LOCKOUT", integer(1, 1000), 10),
+    loginIpLockout: read("LOGIN_IP_LOCKOUT", integer(1, 100000), 50),
+
+    unverifiedAccess: read(
+      "UNVERIFIED_ACCESS",
+      oneOf(UNVERIFIED_ACCESS_VALUES),
+      "read-only",
+    ),
+    emailVerificationTtlMs:
+      read("EMAIL_VERIFICATION_TTL_HOURS", integer(1, 30 * 24), 48) * HOUR,
+    verificationResendIntervalMs:
+      read("VERIFICATION_RESEND_INTERVAL_SECONDS", integer(0, 24 * 60 * 60), 60) * SECOND,
+    passwordResetTokenTtlMs:
+      read("PASSWORD_RESET_TOKEN_TTL_MINUTES", integer(1, 24 * 60), 60) * MINUTE,
+
+    mailTransport: read(
+      "MAIL_TRANSPORT",
+      oneOf(MAIL_TRANSPORTS),
+      nodeEnv === "test" ? "memory" : "console",
+    ),
+    mailDir: read("MAIL_DIR", String, "tmp/mail"),
+    mailFrom: read("MAIL_FROM", String, "Movies API <no-reply@movies.local>"),
+
+    // Como mínimo un día: con 0 cada purga vaciaría la papelera entera
+    trashRetentionMs: read("TRASH_RETENTION_DAYS", integer(1, 3650), 30) * DAY,
+    trashPurgeIntervalMs:
+      read("TRASH_PURGE_INTERVAL_MINUTES", integer(1, 24 * 60), 60) * MINUTE,
+
+    // Valor inicial del ajuste requireIfMatch (ver services/settings.service.js)
+    requireIfMatch: read("REQUIRE_IF_MATCH", boolean, false),
+    // Fecha en la que dejan de responder las rutas anteriores a /api/v1
+    legacyRoutesSunset: read(
+      "LEGACY_ROUTES_SUNSET",
+      date,
+      new Date("2027-04-30T00:00:00Z"),
+    ),
+  };
+
+  // En producción los secretos no pueden quedarse con el valor de desarrollo
+  if (production && !env.EMAIL_VERIFICATION_SECRET?.trim()) {
+    errors.push("EMAIL_VERIFICATION_SECRET is required in production");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${errors.join("\n  ")}`);
+  }
+
+  return Object.freeze(config);
+}
+
+export const config = loadConfig();
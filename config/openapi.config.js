@@ -0,0 +1,282 @@
+// Descripción de cada operación de config/routes.config.js para la especificación
+// OpenAPI, con las rutas relativas al prefijo de la versión (/api/v1). Los
+// parámetros, el body y los errores se deducen de los middlewares de la ruta; aquí
+// solo se indica el resumen y qué devuelve si todo va bien:
+//
+//   "Movie"                  → un documento
+//   ["Rating"]               → un array de documentos
+//   { page: "Movie" }        → el sobre paginado de GET /movies
+//   { cursorPage: "Rating" } → el mismo sobre con nextCursor (ver paginateWithCursor)
+//   null                     → respuesta sin contenido
+//
+// `conditional: true` marca las operaciones con ETag: los GET admiten If-None-Match
+// (304) y las escrituras If-Match (412, o 428 si los admins lo hacen obligatorio).
+//
+// `upload: "file"` indica que el body es un multipart/form-data con un archivo en
+// ese campo (ver utils/upload.js).
+//
+// Una ruta sin entrada en esta tabla hace fallar los tests.
+export const OPERATIONS = {
+  "GET /movies": {
+    tag: "Movies",
+    summary: "Listar películas con filtros, orden y paginación",
+    responses: { 200: { page: "Movie" } },
+  },
+  "GET /movies/search": {
+    tag: "Movies",
+    summary: "Buscar películas por texto, ordenadas por relevancia",
+    responses: { 200: { page: "SearchHit" } },
+  },
+  "GET /movies/autocomplete": {
+    tag: "Movies",
+    summary: "Sugerir títulos mientras se escribe",
+    responses: { 200: ["TitleMatch"] },
+  },
+  "GET /movies/export": {
+    tag: "Movies",
+    summary: "Exportar películas en CSV o NDJSON (según Accept)",
+    responses: { 200: null },
+  },
+  "POST /movies/import": {
+    tag: "Movies",
+    summary: "Importar un CSV, JSON o NDJSON (multipart, campo file)",
+    upload: "file",
+    responses: { 200: "ImportReport" },
+  },
+  "GET /movies/:id": {
+    tag: "Movies",
+    summary: "Obtener una película con sus valoraciones",
+    responses: { 200: "Movie" },
+    conditional: true,
+  },
+  "GET /movies/:id/ratings": {
+    tag: "Ratings",
+    summary: "Listar las valoraciones de una película, por páginas o con cursor",
+    responses: { 200: { cursorPage: "Rating" } },
+  },
+  "POST /movies/:id/ratings": {
+    tag: "Ratings",
+    summary: "Valorar la película de la ruta",
+    responses: { 201: "Rating" },
+  },
+  "GET /movies/:id/similar": {
+    tag: "Recommendations",
+    summary: "Películas parecidas por géneros, director y nota media",
+    responses: { 200: ["Suggestion"] },
+  },
+  "GET /movies/:id/history": {
+    tag: "History",
+    summary: "Historial de cambios de una película",
+    responses: { 200: { page: "AuditEntry" } },
+  },
+  "POST /movies/:id/revert": {
+    tag: "History",
+    summary: "Devolver una película al estado de una revisión del historial",
+    responses: { 200: "Movie" },
+    conditional: true,
+  },
+  "POST /movies": {
+    tag: "Movies",
+    summary: "Crear una película",
+    responses: { 201: "Movie" },
+  },
+  "PATCH /movies/:id": {
+    tag: "Movies",
+    summary: "Actualizar una película",
+    responses: { 200: "Movie" },
+    conditional: true,
+  },
+  "DELETE /movies/:id": {
+    tag: "Movies",
+    summary: "Mandar una película y sus valoraciones a la papelera",
+    responses: { 204: null },
+    conditional: true,
+  },
+
+  "GET /ratings": {
+    tag: "Ratings",
+    summary: "Listar todas las valoraciones",
+    responses: { 200: ["Rating"] },
+  },
+  "GET /ratings/export": {
+    tag: "Ratings",
+    summary: "Exportar valoraciones en CSV o NDJSON (según Accept)",
+    responses: { 200: null },
+  },
+  "GET /ratings/:id": {
+    tag: "Ratings",
+    summary: "Obtener una valoración",
+    responses: { 200: "Rating" },
+    conditional: true,
+  },
+  "GET /ratings/:id/history": {
+    tag: "History",
+    summary: "Historial de cambios de una valoración",
+    responses: { 200: { page: "AuditEntry" } },
+  },
+  "POST /ratings": {
+    tag: "Ratings",
+    summary: "Valorar una película",
+    responses: { 201: "Rating" },
+  },
+  "PATCH /ratings/:id": {
+    tag: "Ratings",
+    summary: "Actualizar una valoración propia",
+    responses: { 200: "Rating" },
+    conditional: true,
+  },
+  "DELETE /ratings/:id": {
+    tag: "Ratings",
+    summary: "Mandar una valoración propia a la papelera",
+    responses: { 204: null },
+    conditional: true,
+  },
+
+  "GET /trash/movies": {
+    tag: "Trash",
+    summary: "Listar las películas de la papelera",
+    responses: { 200: { page: "Movie" } },
+  },
+  "POST /trash/movies/:id/restore": {
+    tag: "Trash",
+    summary: "Restaurar una película con las valoraciones borradas con ella",
+    responses: { 200: "Movie" },
+  },
+  "DELETE /trash/movies/:id": {
+    tag: "Trash",
+    summary: "Borrar definitivamente una película y todo lo que depende de ella",
+    responses: { 204: null },
+  },
+  "GET /trash/ratings": {
+    tag: "Trash",
+    summary: "Listar las valoraciones de la papelera",
+    responses: { 200: { page: "Rating" } },
+  },
+  "POST /trash/ratings/:id/restore": {
+    tag: "Trash",
+    summary: "Restaurar una valoración",
+    responses: { 200: "Rating" },
+  },
+  "DELETE /trash/ratings/:id": {
+    tag: "Trash",
+    summary: "Borrar definitivamente una valoración",
+    responses: { 204: null },
+  },
+
+  "GET /settings": {
+    tag: "Settings",
+    summary: "Ver los ajustes de la aplicación",
+    responses: { 200: "Settings" },
+  },
+  "PATCH /settings": {
+    tag: "Settings",
+    summary: "Cambiar ajustes de la aplicación (p. ej. exigir If-Match)",
+    responses: { 200: "Settings" },
+  },
+
+  "POST /users/login": {
+    tag: "Auth",
+    summary: "Iniciar sesión (devuelve la cookie sessionId)",
+    responses: { 200: null },
+  },
+  "GET /users/profile": {
+    tag: "Auth",
+    summary: "Obtener el usuario de la sesión",
+    responses: { 200: "User" },
+  },
+  "DELETE /users/logout": {
+    tag: "Auth",
+    summary: "Cerrar la sesión",
+    responses: { 204: null },
+  },
+  "POST /users/password-reset": {
+    tag: "Auth",
+    summary: "Solicitar un enlace para restablecer la contraseña",
+    responses: { 202: null },
+  },
+  "POST /users/password-reset/confirm": {
+    tag: "Auth",
+    summary: "Elegir una nueva contraseña con el token recibido",
+    responses: { 204: null },
+  },
+  "GET /users/verify-email": {
+    tag: "Auth",
+    summary: "Verificar el email con el enlace recibido",
+    responses: { 204: null },
+  },
+  "POST /users/verify-email/resend": {
+    tag: "Auth",
+    summary: "Reenviar el email de verificación",
+    responses: { 202: null },
+  },
+
+  "GET /users": {
+    tag: "Users",
+    summary: "Listar usuarios",
+    responses: { 200: ["User"] },
+  },
+  "GET /users/:id": {
+    tag: "Users",
+    summary: "Obtener un usuario",
+    responses: { 200: "User" },
+    conditional: true,
+  },
+  "GET /users/:id/history": {
+    tag: "History",
+    summary: "Historial de cambios de un usuario (contraseñas ocultas)",
+    responses: { 200: { page: "AuditEntry" } },
+  },
+  "POST /users": {
+    tag: "Users",
+    summary: "Registrarse",
+    responses: { 201: "User" },
+  },
+  "PATCH /users/:id": {
+    tag: "Users",
+    summary: "Actualizar un usuario",
+    responses: { 200: "User" },
+    conditional: true,
+  },
+  "DELETE /users/:id": {
+    tag: "Users",
+    summary: "Eliminar un usuario y sus datos",
+    responses: { 204: null },
+    conditional: true,
+  },
+
+  "GET /users/:id/watchlist": {
+    tag: "Watchlist",
+    summary: "Listar la watchlist de un usuario",
+    responses: { 200: { page: "WatchlistItem" } },
+  },
+  "PUT /users/:id/watchlist/:movieId": {
+    tag: "Watchlist",
+    summary: "Añadir una película a la watchlist",
+    responses: { 200: "WatchlistItem", 201: "WatchlistItem" },
+  },
+  "DELETE /users/:id/watchlist/:movieId": {
+    tag: "Watchlist",
+    summary: "Quitar una película de la watchlist",
+    responses: { 204: null },
+  },
+  "GET /users/:id/recommendations": {
+    tag: "Recommendations",
+    summary: "Recomendaciones a partir de las películas que el usuario valoró bien",
+    responses: { 200: ["Suggestion"] },
+  },
+  "GET /users/:id/watched": {
+    tag: "Watchlist",
+    summary: "Listar el historial de películas vistas",
+    responses: { 200: { page: "Viewing" } },
+  },
+  "POST /users/:id/watched": {
+    tag: "Watchlist",
+    summary: "Marcar una película como vista",
+    responses: { 201: "Viewing" },
+  },
+  "DELETE /users/:id/watched/:viewingId": {
+    tag: "Watchlist",
+    summary: "Borrar una entrada del historial",
+    responses: { 204: null },
+  },
+};
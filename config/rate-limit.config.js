@@ -0,0 +1,20 @@
+import { config } from "./env.config.js";
+
+// Presupuestos de peticiones de escritura por ventana de tiempo: register, login,
+// movies, ratings y users. Los valores por defecto están en config/env.config.js y cada uno
+// se puede ajustar con RATE_LIMIT_<NOMBRE>_MAX y RATE_LIMIT_<NOMBRE>_WINDOW_MINUTES.
+export const RATE_LIMITS = config.rateLimits;
+
+// Protección del login frente a ataques de fuerza bruta
+export const LOGIN_PROTECTION = {
+  // Ventana en la que se acumulan los intentos (y duración del bloqueo)
+  windowMs: config.loginFailureWindowMs,
+  // A partir de cuántos intentos se empieza a retrasar la respuesta
+  delayAfter: 3,
+  // Retraso tras el primer intento de más; se duplica con cada uno hasta maxDelayMs
+  baseDelayMs: 500,
+  maxDelayMs: 10 * 1000,
+  // Intentos que bloquean temporalmente una cuenta o una IP
+  accountLockout: config.loginAccountLockout,
+  ipLockout: config.loginIpLockout,
+};
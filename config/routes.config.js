@@ -2,25 +2,450 @@ import { Router } from "express";
 import movieController from "../controllers/movie.controller.js";
 import ratingController from "../controllers/rating.controller.js";
 import userController from "../controllers/user.controller.js";
+import watchlistController from "../controllers/watchlist.controller.js";
+import viewingController from "../controllers/viewing.controller.js";
+import recommendationController from "../controllers/recommendation.controller.js";
+import trashController from "../controllers/trash.controller.js";
+import auditController from "../controllers/audit.controller.js";
+import settingsController from "../controllers/settings.controller.js";
+import { AUDIT_ACTIONS } from "../models/audit-entry.model.js";
+import { RATING_SORTS } from "../models/rating.model.js";
+import { ROLES } from "../models/user.model.js";
+import {
+  checkAuth,
+  checkRole,
+  checkSelfOrRole,
+  checkVerified,
+} from "../middlewares/auth.middleware.js";
+import { rateLimit } from "../middlewares/rate-limit.middleware.js";
+import { validate, partial } from "../middlewares/validate.middleware.js";
+import { cursorPaginationQuery, paginationQuery } from "../utils/pagination.js";
+import { SETTINGS } from "../services/settings.service.js";
 
-const router = Router();
+const isAdmin = checkRole("admin");
+const isSelfOrAdmin = checkSelfOrRole("admin");
 
-router.get("/movies", movieController.list);
-router.get("/movies/:id", movieController.detail);
-router.post("/movies", movieController.create);
-router.patch("/movies/:id", movieController.update);
-router.delete("/movies/:id", movieController.delete);
+// Esquemas de validación. Solo los campos declarados llegan a los controladores:
+// el resto se descarta del body (p. ej. role, averageScore o user) y se rechaza en la query.
+const idParams = { id: { type: "objectId", required: true } };
 
-router.get("/ratings", ratingController.list);
-router.get("/ratings/:id", ratingController.detail);
-router.post("/ratings", ratingController.create);
-router.patch("/ratings/:id", ratingController.update);
-router.delete("/ratings/:id", ratingController.delete);
+const movieBody = {
+  title: { type: "string", required: true },
+  year: { type: "integer", required: true },
+  director: { type: "string", required: true },
+  duration: { type: "any" },
+  genre: { type: "array", items: { type: "string" } },
+  rate: { type: "number" },
+};
 
-router.get("/api/users", userController.list);
-router.get("/api/users/:id", userController.detail);
-router.post("/api/users", userController.create);
-router.patch("/api/users/:id", userController.update);
-router.delete("/api/users/:id", userController.delete);
+const movieFilterQuery = {
+  genre: { type: "array", items: { type: "string" } },
+  genreMatch: { type: "string", enum: ["any", "all"] },
+  director: { type: "string" },
+  title: { type: "string" },
+  yearFrom: { type: "integer" },
+  yearTo: { type: "integer" },
+  minRate: { type: "number", min: 0, max: 10 },
+  minAverageScore: { type: "number", min: 1, max: 5 },
+  minRatingsCount: { type: "integer", min: 0 },
+  sort: { type: "array", items: { type: "string" } },
+};
 
-export default router;
+const movieListQuery = { ...movieFilterQuery, ...paginationQuery };
+
+const searchQuery = {
+  q: { type: "string", required: true },
+  ...paginationQuery,
+};
+
+const autocompleteQuery = {
+  q: { type: "string", required: true },
+  limit: { type: "integer", min: 1, max: 20, default: 10 },
+};
+
+const suggestionsQuery = {
+  limit: { type: "integer", min: 1, max: 50, default: 10 },
+};
+
+const ratingBody = {
+  movie: { type: "objectId", required: true },
+  text: { type: "string", required: true },
+  score: { type: "integer", required: true },
+};
+
+const movieRatingsQuery = {
+  sort: { type: "string", enum: Object.keys(RATING_SORTS), default: "newest" },
+  minScore: { type: "integer", min: 1, max: 5 },
+  maxScore: { type: "integer", min: 1, max: 5 },
+  ...cursorPaginationQuery,
+};
+
+// Para POST /movies/:id/ratings la película viene en la ruta
+const movieRatingBody = { text: ratingBody.text, score: ratingBody.score };
+
+const userBody = {
+  email: { type: "string", required: true },
+  password: { type: "string", required: true },
+  fullName: { type: "string", required: true },
+  bio: { type: "string" },
+  birthDate: { type: "date", required: true },
+};
+
+const watchlistParams = {
+  ...idParams,
+  movieId: { type: "objectId", required: true },
+};
+
+const viewingBody = {
+  movie: { type: "objectId", required: true },
+  watchedAt: { type: "date" },
+};
+
+const historyQuery = {
+  action: { type: "string", enum: AUDIT_ACTIONS },
+  actor: { type: "objectId" },
+  field: { type: "string" },
+  from: { type: "date" },
+  to: { type: "date" },
+  ...paginationQuery,
+};
+
+const settingsBody = Object.fromEntries(
+  Object.entries(SETTINGS).map(([name, { type }]) => [name, { type }]),
+);
+
+const credentialsBody = {
+  email: { type: "string", required: true },
+  password: { type: "string", required: true },
+};
+
+// Controladores de la v1. Una versión nueva de la API puede sustituir solo los que
+// cambian y reutilizar el resto:
+//
+//   app.use("/api/v2", createApiRouter({ ...V1_CONTROLLERS, movieController: v2 }))
+export const V1_CONTROLLERS = {
+  movieController,
+  ratingController,
+  userController,
+  watchlistController,
+  viewingController,
+  recommendationController,
+  trashController,
+  auditController,
+  settingsController,
+};
+
+// Router con todas las rutas de la API, relativas al prefijo de la versión
+// (/api/v1, ver config/api.config.js)
+export function createApiRouter({
+  movieController,
+  ratingController,
+  userController,
+  watchlistController,
+  viewingController,
+  recommendationController,
+  trashController,
+  auditController,
+  settingsController,
+} = V1_CONTROLLERS) {
+  const router = Router();
+
+  router.use(checkAuth);
+  router.use(checkVerified);
+
+  router.get("/movies", validate({ query: movieListQuery }), movieController.list);
+  // Antes de /movies/:id para que "search", "export"... no se interpreten como un id
+  router.get("/movies/search", validate({ query: searchQuery }), movieController.search);
+  router.get(
+    "/movies/autocomplete",
+    validate({ query: autocompleteQuery }),
+    movieController.autocomplete,
+  );
+  router.get(
+    "/movies/export",
+    validate({ query: movieFilterQuery }),
+    movieController.export,
+  );
+  router.post(
+    "/movies/import",
+    rateLimit("movies"),
+    isAdmin,
+    validate({
+      query: {
+        mode: { type: "string", enum: ["validate", "commit"], default: "validate" },
+      },
+    }),
+    movieController.import,
+  );
+  router.get(
+    "/movies/:id",
+    validate({ params: idParams, query: {} }),
+    movieController.detail,
+  );
+  router.get(
+    "/movies/:id/ratings",
+    validate({ params: idParams, query: movieRatingsQuery }),
+    ratingController.listForMovie,
+  );
+  router.post(
+    "/movies/:id/ratings",
+    rateLimit("ratings"),
+    validate({ params: idParams, body: movieRatingBody }),
+    ratingController.createForMovie,
+  );
+  router.get(
+    "/movies/:id/similar",
+    validate({ params: idParams, query: suggestionsQuery }),
+    recommendationController.similar,
+  );
+  router.get(
+    "/movies/:id/history",
+    isAdmin,
+    validate({ params: idParams, query: historyQuery }),
+    auditController.movieHistory,
+  );
+  router.post(
+    "/movies/:id/revert",
+    rateLimit("movies"),
+    isAdmin,
+    validate({
+      params: idParams,
+      body: { revision: { type: "objectId", required: true } },
+    }),
+    movieController.revert,
+  );
+  router.post(
+    "/movies",
+    rateLimit("movies"),
+    isAdmin,
+    validate({ body: movieBody }),
+    movieController.create,
+  );
+  router.patch(
+    "/movies/:id",
+    rateLimit("movies"),
+    isAdmin,
+    validate({ params: idParams, body: partial(movieBody) }),
+    movieController.update,
+  );
+  router.delete(
+    "/movies/:id",
+    rateLimit("movies"),
+    isAdmin,
+    validate({ params: idParams }),
+    movieController.delete,
+  );
+
+  router.get("/ratings", validate({ query: {} }), ratingController.list);
+  router.get("/ratings/export", validate({ query: {} }), ratingController.export);
+  router.get(
+    "/ratings/:id",
+    validate({ params: idParams, query: {} }),
+    ratingController.detail,
+  );
+  router.get(
+    "/ratings/:id/history",
+    isAdmin,
+    validate({ params: idParams, query: historyQuery }),
+    auditController.ratingHistory,
+  );
+  router.post(
+    "/ratings",
+    rateLimit("ratings"),
+    validate({ body: ratingBody }),
+    ratingController.create,
+  );
+  router.patch(
+    "/ratings/:id",
+    rateLimit("ratings"),
+    validate({ params: idParams, body: partial(ratingBody) }),
+    ratingController.update,
+  );
+  router.delete(
+    "/ratings/:id",
+    rateLimit("ratings"),
+    validate({ params: idParams }),
+    ratingController.delete,
+  );
+
+  // Papelera de películas y valoraciones, solo para admins
+  router.get(
+    "/trash/movies",
+    isAdmin,
+    validate({ query: paginationQuery }),
+    trashController.listMovies,
+  );
+  router.post(
+    "/trash/movies/:id/restore",
+    rateLimit("movies"),
+    isAdmin,
+    validate({ params: idParams }),
+    trashController.restoreMovie,
+  );
+  router.delete(
+    "/trash/movies/:id",
+    rateLimit("movies"),
+    isAdmin,
+    validate({ params: idParams }),
+    trashController.purgeMovie,
+  );
+  router.get(
+    "/trash/ratings",
+    isAdmin,
+    validate({ query: paginationQuery }),
+    trashController.listRatings,
+  );
+  router.post(
+    "/trash/ratings/:id/restore",
+    rateLimit("ratings"),
+    isAdmin,
+    validate({ params: idParams }),
+    trashController.restoreRating,
+  );
+  router.delete(
+    "/trash/ratings/:id",
+    rateLimit("ratings"),
+    isAdmin,
+    validate({ params: idParams }),
+    trashController.purgeRating,
+  );
+
+  // Ajustes que los admins pueden cambiar en caliente
+  router.get("/settings", isAdmin, validate({ query: {} }), settingsController.show);
+  router.patch(
+    "/settings",
+    isAdmin,
+    validate({ body: settingsBody, unknown: { body: "reject" } }),
+    settingsController.update,
+  );
+
+  // Rutas con segmentos fijos antes de /users/:id para que no se interpreten como un id
+  router.post(
+    "/users/login",
+    rateLimit("login"),
+    validate({ body: credentialsBody }),
+    userController.login,
+  );
+  router.get("/users/profile", userController.profile);
+  router.delete("/users/logout", userController.logout);
+  router.post(
+    "/users/password-reset",
+    rateLimit("users"),
+    validate({ body: { email: { type: "string", required: true } } }),
+    userController.requestPasswordReset,
+  );
+  router.post(
+    "/users/password-reset/confirm",
+    rateLimit("users"),
+    validate({
+      body: {
+        token: { type: "string", required: true },
+        password: { type: "string", required: true },
+      },
+    }),
+    userController.confirmPasswordReset,
+  );
+  router.get(
+    "/users/verify-email",
+    validate({ query: { token: { type: "string", required: true } } }),
+    userController.verifyEmail,
+  );
+  router.post(
+    "/users/verify-email/resend",
+    rateLimit("users"),
+    userController.resendVerification,
+  );
+
+  router.get("/users", validate({ query: {} }), userController.list);
+  router.get(
+    "/users/:id",
+    validate({ params: idParams, query: {} }),
+    userController.detail,
+  );
+  router.get(
+    "/users/:id/history",
+    isAdmin,
+    validate({ params: idParams, query: historyQuery }),
+    auditController.userHistory,
+  );
+  router.post(
+    "/users",
+    rateLimit("register"),
+    validate({ body: userBody }),
+    userController.create,
+  );
+  router.patch(
+    "/users/:id",
+    rateLimit("users"),
+    isSelfOrAdmin,
+    validate({
+      params: idParams,
+      body: { ...partial(userBody), role: { type: "string", enum: ROLES } },
+    }),
+    userController.update,
+  );
+  router.delete(
+    "/users/:id",
+    rateLimit("users"),
+    isSelfOrAdmin,
+    validate({ params: idParams }),
+    userController.delete,
+  );
+
+  // Watchlist e historial de cada usuario: solo los ve y los modifica él mismo
+  // (o un admin)
+  router.get(
+    "/users/:id/watchlist",
+    isSelfOrAdmin,
+    validate({ params: idParams, query: paginationQuery }),
+    watchlistController.list,
+  );
+  router.put(
+    "/users/:id/watchlist/:movieId",
+    rateLimit("users"),
+    isSelfOrAdmin,
+    validate({ params: watchlistParams }),
+    watchlistController.add,
+  );
+  router.delete(
+    "/users/:id/watchlist/:movieId",
+    rateLimit("users"),
+    isSelfOrAdmin,
+    validate({ params: watchlistParams }),
+    watchlistController.remove,
+  );
+
+  router.get(
+    "/users/:id/recommendations",
+    isSelfOrAdmin,
+    validate({ params: idParams, query: suggestionsQuery }),
+    recommendationController.forUser,
+  );
+
+  router.get(
+    "/users/:id/watched",
+    isSelfOrAdmin,
+    validate({ params: idParams, query: paginationQuery }),
+    viewingController.list,
+  );
+  router.post(
+    "/users/:id/watched",
+    rateLimit("users"),
+    isSelfOrAdmin,
+    validate({ params: idParams, body: viewingBody }),
+    viewingController.create,
+  );
+  router.delete(
+    "/users/:id/watched/:viewingId",
+    rateLimit("users"),
+    isSelfOrAdmin,
+    validate({
+      params: { ...idParams, viewingId: { type: "objectId", required: true } },
+    }),
+    viewingController.delete,
+  );
+
+  return router;
+}
+
+export default createApiRouter();
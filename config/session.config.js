@@ -0,0 +1,7 @@
+import { config } from "./env.config.js";
+
+// Tiempo máximo de inactividad entre dos peticiones con la misma sesión
+export const SESSION_IDLE_TIMEOUT_MS = config.sessionIdleTimeoutMs;
+
+// Duración máxima de una sesión desde el login, haya actividad o no
+export const SESSION_MAX_AGE_MS = config.sessionMaxAgeMs;
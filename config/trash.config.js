@@ -0,0 +1,8 @@
+import { config } from "./env.config.js";
+
+// Tiempo que pasan las películas y valoraciones en la papelera antes de borrarse
+// definitivamente
+export const TRASH_RETENTION_MS = config.trashRetentionMs;
+
+// Cada cuánto se buscan en la papelera documentos que ya han caducado
+export const TRASH_PURGE_INTERVAL_MS = config.trashPurgeIntervalMs;
@@ -0,0 +1,10 @@
+import { config } from "./env.config.js";
+
+// Qué puede hacer un usuario que aún no ha verificado su email:
+//   "full"      — lo mismo que uno verificado
+//   "read-only" — solo peticiones GET (p. ej. ver películas, pero no valorarlas)
+//   "none"      — nada salvo ver su perfil, cerrar sesión y pedir otro correo
+export const UNVERIFIED_ACCESS = config.unverifiedAccess;
+
+// Tiempo mínimo entre dos correos de verificación al mismo usuario
+export const VERIFICATION_RESEND_INTERVAL_MS = config.verificationResendIntervalMs;
@@ -0,0 +1,53 @@
+import createError from "http-errors";
+import AuditEntry from "../models/audit-entry.model.js";
+import { PUBLIC_FIELDS } from "../models/user.model.js";
+import { paginate } from "../utils/pagination.js";
+
+// El historial se conserva aunque el documento ya no exista, así que no se
+// comprueba que exista
+async function history(type, req, res) {
+  const { action, actor, field, from, to } = req.query;
+  const filter = { resourceType: type, resourceId: req.params.id };
+
+  if (from !== undefined && to !== undefined && from > to) {
+    throw createError(400, '"from" must not be later than "to"', { code: "INVALID_QUERY" });
+  }
+
+  if (action !== undefined) {
+    filter.action = action;
+  }
+  if (actor !== undefined) {
+    filter.actor = actor;
+  }
+  if (field !== undefined) {
+    filter["changes.field"] = field;
+  }
+  if (from !== undefined) {
+    filter.createdAt = { ...filter.createdAt, $gte: from };
+  }
+  if (to !== undefined) {
+    filter.createdAt = { ...filter.createdAt, $lte: to };
+  }
+
+  // Lo más reciente primero
+  res.json(
+    await paginate(req, AuditEntry, filter, {
+      sort: { _id: -1 },
+      populate: { path: "actor", select: PUBLIC_FIELDS },
+    }),
+  );
+}
+
+async function movieHistory(req, res) {
+  await history("Movie", req, res);
+}
+
+async function ratingHistory(req, res) {
+  await history("Rating", req, res);
+}
+
+async function userHistory(req, res) {
+  await history("User", req, res);
+}
+
+export default { movieHistory, ratingHistory, userHistory };
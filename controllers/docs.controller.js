@@ -0,0 +1,32 @@
+import router from "../config/routes.config.js";
+import { buildOpenApiSpec } from "../services/openapi.service.js";
+
+let spec;
+
+// Las rutas no cambian en tiempo de ejecución: basta con generarla una vez
+async function openapi(req, res) {
+  spec ??= buildOpenApiSpec(router);
+  res.json(spec);
+}
+
+// Página con Swagger UI que lee /openapi.json. Los archivos de Swagger UI se sirven
+// desde /docs/assets (paquete swagger-ui-dist) y no desde un CDN.
+async function ui(req, res) {
+  res.type("html").send(`<!doctype html>
+<html lang="es">
+  <head>
+    <meta charset="utf-8" />
+    <title>Movies API</title>
+    <link rel="stylesheet" href="/docs/assets/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="/docs/assets/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({ url: "/openapi.json", dom_id: "#swagger-ui", withCredentials: true });
+    </script>
+  </body>
+</html>`);
+}
+
+export default { openapi, ui };
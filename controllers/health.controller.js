@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+import { isShuttingDown } from "../services/shutdown.service.js";
+
+// Liveness: el proceso está vivo y responde, aunque no tenga base de datos
+async function health(req, res) {
+  res.json({ status: "ok", uptime: Math.round(process.uptime()) });
+}
+
+// Readiness: solo acepta tráfico si la conexión con MongoDB está abierta y el
+// servidor no se está apagando. mongo es el estado de Mongoose: connected,
+// connecting, disconnected…
+async function ready(req, res) {
+  const mongo = mongoose.STATES[mongoose.connection.readyState];
+
+  if (isShuttingDown()) {
+    res.status(503).json({ status: "shutting-down", checks: { mongo } });
+    return;
+  }
+
+  const isReady = mongo === "connected";
+
+  res
+    .status(isReady ? 200 : 503)
+    .json({ status: isReady ? "ready" : "unavailable", checks: { mongo } });
+}
+
+export default { health, ready };
@@ -1,47 +1,400 @@
 import createError from "http-errors";
-import Movie from "../models/movie.model.js";
+import { config } from "../config/env.config.js";
+import Movie, { CASE_INSENSITIVE, EDITABLE_FIELDS } from "../models/movie.model.js";
+import Rating from "../models/rating.model.js";
+import AuditEntry from "../models/audit-entry.model.js";
+import WatchlistItem from "../models/watchlist-item.model.js";
+import { PUBLIC_FIELDS } from "../models/user.model.js";
+import {
+  importMovies,
+  movieFromCsv,
+  MOVIE_COLUMNS,
+} from "../services/movie-import.service.js";
+import {
+  auditContext,
+  recordChange,
+  snapshot,
+  stateAt,
+} from "../services/audit.service.js";
+import { trashMovie } from "../services/trash.service.js";
+import { paginate } from "../utils/pagination.js";
+import { parseCsv, parseJson, sendRecords } from "../utils/records.js";
+import { receiveFile } from "../utils/upload.js";
+import { escapeRegExp, highlight, words } from "../utils/text.js";
+import { checkIfMatch, entityTag } from "../utils/conditional.js";
+
+const SORTABLE_FIELDS = [
+  "title",
+  "year",
+  "director",
+  "rate",
+  "duration",
+  "averageScore",
+  "ratingsCount",
+];
+
+// La query ya llega validada y con los tipos convertidos (ver routes.config.js).
+// El filtro se usa con la collation CASE_INSENSITIVE: géneros y director se
+// comparan sin distinguir mayúsculas (y con los índices de models/movie.model.js).
+function buildListFilter(query) {
+  const filter = {};
+
+  if (query.genre !== undefined) {
+    if (!query.genre.length) {
+      throw createError(400, 'Query parameter "genre" must not be empty', {
+        code: "INVALID_QUERY",
+      });
+    }
+
+    filter.genre =
+      query.genreMatch === "all" ? { $all: query.genre } : { $in: query.genre };
+  } else if (query.genreMatch !== undefined) {
+    throw createError(400, 'Query parameter "genreMatch" requires "genre"', {
+      code: "INVALID_QUERY",
+    });
+  }
+
+  if (query.director !== undefined) {
+    filter.director = query.director.trim();
+  }
+
+  if (query.title !== undefined) {
+    filter.title = new RegExp(escapeRegExp(query.title.trim()), "i");
+  }
+
+  const { yearFrom, yearTo } = query;
+  if (yearFrom !== undefined && yearTo !== undefined && yearFrom > yearTo) {
+    throw createError(400, '"yearFrom" must not be greater than "yearTo"', {
+      code: "INVALID_QUERY",
+    });
+  }
+  if (yearFrom !== undefined) {
+    filter.year = { ...filter.year, $gte: yearFrom };
+  }
+  if (yearTo !== undefined) {
+    filter.year = { ...filter.year, $lte: yearTo };
+  }
+
+  if (query.minRate !== undefined) {
+    filter.rate = { $gte: query.minRate };
+  }
+
+  if (query.minAverageScore !== undefined) {
+    filter.averageScore = { $gte: query.minAverageScore };
+  }
+
+  if (query.minRatingsCount !== undefined) {
+    filter.ratingsCount = { $gte: query.minRatingsCount };
+  }
+
+  return filter;
+}
+
+function buildListSort(query) {
+  if (query.sort === undefined) {
+    return { _id: 1 };
+  }
+
+  const sort = {};
+
+  for (const item of query.sort) {
+    const field = item.replace(/^[-+]/, "");
+
+    if (!SORTABLE_FIELDS.includes(field)) {
+      throw createError(400, `Cannot sort by "${field}"`, { code: "INVALID_QUERY" });
+    }
+
+    sort[field] = item.startsWith("-") ? -1 : 1;
+  }
+
+  // Desempate estable para que la paginación no repita ni pierda resultados
+  sort._id = 1;
+  return sort;
+}
 
 async function list(req, res) {
-  const movies = await Movie.find();
-  res.json(movies);
+  const filter = buildListFilter(req.query);
+  const sort = buildListSort(req.query);
+
+  res.json(await paginate(req, Movie, filter, { sort, collation: CASE_INSENSITIVE }));
+}
+
+// Palabras de una búsqueda $text que se resaltan: las sueltas y las de las frases
+// entre comillas, pero no las excluidas con "-"
+function searchedTerms(q) {
+  const included = q.replace(/-"[^"]*"?/g, " ").replace(/(^|\s)-\S+/g, " ");
+  return new Set(words(included));
+}
+
+function movieHighlights(movie, terms) {
+  const highlights = {};
+
+  for (const field of ["title", "director"]) {
+    const html = movie[field] && highlight(movie[field], terms);
+    if (html) {
+      highlights[field] = html;
+    }
+  }
+
+  const genres = movie.genre.map((genre) => highlight(genre, terms)).filter(Boolean);
+  if (genres.length) {
+    highlights.genre = genres;
+  }
+
+  return highlights;
+}
+
+// Búsqueda de texto completo en título, director y géneros, de más a menos relevante
+async function search(req, res) {
+  const score = { $meta: "textScore" };
+  const page = await paginate(req, Movie, { $text: { $search: req.query.q } }, {
+    projection: { score },
+    sort: { score, _id: 1 },
+  });
+  const terms = searchedTerms(req.query.q);
+
+  res.json({
+    ...page,
+    data: page.data.map((movie) => ({
+      ...movie.toJSON(),
+      score: Math.round(movie.get("score") * 10000) / 10000,
+      highlights: movieHighlights(movie, terms),
+    })),
+  });
+}
+
+// Títulos que empiezan por el texto escrito o tienen una palabra que empieza por él,
+// para sugerencias mientras se escribe. Las más valoradas primero.
+async function autocomplete(req, res) {
+  const prefix = words(req.query.q).join(" ");
+
+  if (!prefix) {
+    return res.json([]);
+  }
+
+  const movies = await Movie.find({ searchTerms: new RegExp(`^${escapeRegExp(prefix)}`) })
+    .select("title year")
+    .sort({ ratingsCount: -1, title: 1, _id: 1 })
+    .limit(req.query.limit);
+
+  res.json(movies.map(({ id, title, year }) => ({ id, title, year })));
+}
+
+// Mismos filtros y orden que el listado, pero sin paginar
+async function exportCatalog(req, res) {
+  const cursor = Movie.find(buildListFilter(req.query))
+    .sort(buildListSort(req.query))
+    .collation(CASE_INSENSITIVE)
+    .cursor();
+
+  await sendRecords(req, res, cursor, {
+    columns: MOVIE_COLUMNS,
+    toRecord: (movie) => movie.toJSON(),
+    filename: "movies",
+  });
+}
+
+function uploadFormat({ filename, mimeType }) {
+  if (/\.csv$/i.test(filename) || mimeType === "text/csv") {
+    return "csv";
+  }
+  if (/\.(nd)?json$/i.test(filename) || /json/.test(mimeType)) {
+    return "json";
+  }
+  return null;
+}
+
+async function* csvMovies(stream) {
+  for await (const row of parseCsv(stream)) {
+    yield row instanceof Error ? row : movieFromCsv(row);
+  }
+}
+
+// Importa un CSV, un array JSON o un NDJSON subido como multipart (campo "file").
+// Con mode=validate (por defecto) solo informa de lo que haría.
+async function importCatalog(req, res) {
+  const file = await receiveFile(req, "file");
+  const format = uploadFormat(file);
+
+  if (!format) {
+    file.stream.resume();
+    throw createError(415, "Upload a .csv, .json or .ndjson file", {
+      code: "UNSUPPORTED_MEDIA_TYPE",
+    });
+  }
+
+  file.stream.setEncoding("utf8");
+  const records = format === "csv" ? csvMovies(file.stream) : parseJson(file.stream);
+  const report = await importMovies(records, {
+    dryRun: req.query.mode === "validate",
+    context: auditContext(req),
+  });
+
+  res.json({ mode: req.query.mode, ...report });
 }
 
+// El ETag de GET /movies/:id. Además de la versión de la película (que cambia con
+// cada valoración) depende de lo que la representación incluye y no la cambia: si
+// está en la watchlist de quien la pide y el nombre de los autores de las últimas
+// valoraciones, que pueden editar su perfil.
+function detailTag(movie, inWatchlist, ratingsPreview) {
+  return entityTag(
+    movie,
+    Boolean(inWatchlist),
+    ratingsPreview.map((rating) => rating.user?.fullName ?? null),
+  );
+}
+
+// El mismo ETag para las ediciones, sin cargar la película con sus valoraciones
+async function movieTag(movie, req) {
+  const [inWatchlist, ratingsPreview] = await Promise.all([
+    WatchlistItem.exists({ user: req.session.user._id, movie: movie._id }),
+    Rating.find({ movie: movie._id }, "user")
+      .sort({ _id: -1 })
+      .limit(config.movieRatingsPreview)
+      .populate("user", PUBLIC_FIELDS),
+  ]);
+  return detailTag(movie, inWatchlist, ratingsPreview);
+}
+
+function editConflict() {
+  return createError(409, "The movie was modified by another request", {
+    code: "EDIT_CONFLICT",
+  });
+}
+
+// Solo incluye las últimas valoraciones; el resto se pide a GET /movies/:id/ratings
 async function detail(req, res) {
-  const movie = await Movie.findById(req.params.id).populate("ratings");
+  const movie = await Movie.findById(req.params.id).populate({
+    path: "ratings",
+    options: { sort: { _id: -1 } },
+    perDocumentLimit: config.movieRatingsPreview,
+    populate: { path: "user", select: PUBLIC_FIELDS },
+  });
 
   if (!movie) {
     throw createError(404, "Movie not found");
   }
 
-  res.json(movie);
+  const [scoreHistogram, inWatchlist] = await Promise.all([
+    Rating.scoreHistogram(movie._id),
+    WatchlistItem.exists({ user: req.session.user._id, movie: movie._id }),
+  ]);
+
+  res.set("ETag", detailTag(movie, inWatchlist, movie.ratings));
+  res.json({ ...movie.toJSON(), scoreHistogram, inWatchlist: Boolean(inWatchlist) });
 }
 
 async function create(req, res) {
   const movie = await Movie.create(req.body);
+  await recordChange(auditContext(req), {
+    action: "create",
+    type: "Movie",
+    id: movie._id,
+    after: snapshot(movie),
+  });
+
   res.status(201).json(movie);
 }
 
 async function update(req, res) {
-  const movie = await Movie.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true,
+  const previous = await Movie.findById(req.params.id);
+
+  if (!previous) {
+    throw createError(404, "Movie not found");
+  }
+
+  await checkIfMatch(req, await movieTag(previous, req));
+
+  // Con If-Match solo se escribe si nadie lo ha hecho desde que se leyó. Sin él no
+  // se comprueba la versión: también cambia al recalcular las valoraciones, y eso
+  // daría conflictos con ediciones que no tocan esos campos.
+  const guarded = req.get("If-Match") !== undefined;
+  const movie = await Movie.findOneAndUpdate(
+    guarded ? { _id: previous._id, __v: previous.__v } : { _id: previous._id },
+    req.body,
+    { new: true, runValidators: true },
+  );
+
+  if (!movie) {
+    throw guarded ? editConflict() : createError(404, "Movie not found");
+  }
+
+  await recordChange(auditContext(req), {
+    action: "update",
+    type: "Movie",
+    id: movie._id,
+    before: snapshot(previous),
+    after: snapshot(movie),
   });
 
+  res.set("ETag", await movieTag(movie, req));
+  res.json(movie);
+}
+
+// Deja los campos editables como estaban tras una revisión del historial. La
+// vuelta atrás queda registrada a su vez como una entrada "revert".
+async function revert(req, res) {
+  const movie = await Movie.findById(req.params.id);
+
   if (!movie) {
     throw createError(404, "Movie not found");
   }
 
+  const revision = await AuditEntry.findOne({
+    _id: req.body.revision,
+    resourceType: "Movie",
+    resourceId: movie._id,
+  });
+
+  if (!revision) {
+    throw createError(404, "Revision not found");
+  }
+
+  await checkIfMatch(req, await movieTag(movie, req));
+
+  const before = snapshot(movie);
+  const state = await stateAt(revision, before);
+
+  EDITABLE_FIELDS.forEach((field) => movie.set(field, state[field] ?? undefined));
+  await movie.save();
+
+  await recordChange(auditContext(req), {
+    action: "revert",
+    type: "Movie",
+    id: movie._id,
+    before,
+    after: snapshot(movie),
+    revision: revision._id,
+  });
+
+  res.set("ETag", await movieTag(movie, req));
   res.json(movie);
 }
 
+// Va a la papelera con sus valoraciones; ver services/trash.service.js
 async function deleteMovie(req, res) {
-  const movie = await Movie.findByIdAndDelete(req.params.id);
+  const movie = await Movie.findById(req.params.id);
 
   if (!movie) {
     throw createError(404, "Movie not found");
   }
 
+  await checkIfMatch(req, await movieTag(movie, req));
+  await trashMovie(movie, auditContext(req));
+
   res.status(204).send();
 }
 
-export default { list, detail, create, update, delete: deleteMovie };
+export default {
+  list,
+  search,
+  autocomplete,
+  detail,
+  create,
+  update,
+  delete: deleteMovie,
+  revert,
+  export: exportCatalog,
+  import: importCatalog,
+};
@@ -1,58 +1,214 @@
 import createError from "http-errors";
-import Rating from "../models/rating.model.js";
+import Rating, { RATING_SORTS } from "../models/rating.model.js";
 import Movie from "../models/movie.model.js";
+import { PUBLIC_FIELDS } from "../models/user.model.js";
+import { auditContext, recordChange, snapshot } from "../services/audit.service.js";
+import { purgeRating, trashRating } from "../services/trash.service.js";
+import { sendRecords } from "../utils/records.js";
+import { checkIfMatch, entityTag } from "../utils/conditional.js";
+import { paginateWithCursor } from "../utils/pagination.js";
+
+const RATING_COLUMNS = ["id", "movie", "movieTitle", "user", "score", "text"];
+
+function checkAuthor(rating, req) {
+  if (!rating.user?.equals(req.session.user._id)) {
+    throw createError(403, "Only the author can modify this rating", {
+      code: "NOT_RATING_AUTHOR",
+    });
+  }
+}
+
+// GET /ratings/:id incluye la película, así que su versión también cuenta en el ETag
+async function ratingTag(rating) {
+  const movie = rating.populated("movie")
+    ? rating.movie
+    : await Movie.findById(rating.movie).select("__v");
+
+  return entityTag(rating, movie?.__v ?? null);
+}
 
 async function list(req, res) {
-  const ratings = await Rating.find().populate("movie");
+  const ratings = await Rating.find()
+    .populate("movie")
+    .populate("user", PUBLIC_FIELDS);
   res.json(ratings);
 }
 
+// GET /movies/:id/ratings: por páginas o con cursor, ordenadas y filtradas por nota
+async function listForMovie(req, res) {
+  const { sort, minScore, maxScore } = req.query;
+
+  if (minScore !== undefined && maxScore !== undefined && minScore > maxScore) {
+    throw createError(400, '"minScore" must not be greater than "maxScore"', {
+      code: "INVALID_QUERY",
+    });
+  }
+
+  if (!(await Movie.exists({ _id: req.params.id }))) {
+    throw createError(404, "Movie not found");
+  }
+
+  const filter = { movie: req.params.id };
+
+  if (minScore !== undefined || maxScore !== undefined) {
+    filter.score = {
+      ...(minScore !== undefined && { $gte: minScore }),
+      ...(maxScore !== undefined && { $lte: maxScore }),
+    };
+  }
+
+  res.json(
+    await paginateWithCursor(req, Rating, filter, {
+      sort: RATING_SORTS[sort],
+      populate: { path: "user", select: PUBLIC_FIELDS },
+    }),
+  );
+}
+
+async function exportRatings(req, res) {
+  const cursor = Rating.find().sort({ _id: 1 }).populate("movie", "title").cursor();
+
+  await sendRecords(req, res, cursor, {
+    columns: RATING_COLUMNS,
+    toRecord: (rating) => ({
+      id: rating.id,
+      movie: rating.movie?.id,
+      movieTitle: rating.movie?.title,
+      user: rating.user?.toString(),
+      score: rating.score,
+      text: rating.text,
+    }),
+    filename: "ratings",
+  });
+}
+
 async function detail(req, res) {
-  const rating = await Rating.findById(req.params.id).populate("movie");
+  const rating = await Rating.findById(req.params.id)
+    .populate("movie")
+    .populate("user", PUBLIC_FIELDS);
 
   if (!rating) {
     throw createError(404, "Rating not found");
   }
 
+  res.set("ETag", await ratingTag(rating));
   res.json(rating);
 }
 
-async function create(req, res) {
-  if (!req.body.movie) {
-    throw createError(400, "Movie is required");
-  }
-
-  const movie = await Movie.findById(req.body.movie);
+// Crea la valoración de quien hace la petición sobre la película `movieId`
+async function createRating(req, res, movieId) {
+  const movie = await Movie.findById(movieId);
 
   if (!movie) {
     throw createError(404, "Movie not found");
   }
 
-  const rating = await Rating.create(req.body);
+  // Una valoración nueva sustituye a la que el autor tenga en la papelera para la misma
+  // película, que si no chocaría con el índice único
+  const trashed = await Rating.findOne({
+    movie: movie._id,
+    user: req.session.user._id,
+    deletedAt: { $ne: null },
+  });
+
+  if (trashed) {
+    await purgeRating(trashed, auditContext(req));
+  }
+
+  const rating = await Rating.create({
+    ...req.body,
+    movie: movie._id,
+    user: req.session.user._id,
+  });
+  await Rating.updateMovieStats(rating.movie);
+  await recordChange(auditContext(req), {
+    action: "create",
+    type: "Rating",
+    id: rating._id,
+    after: snapshot(rating),
+  });
+  await rating.populate("user", PUBLIC_FIELDS);
+
   res.status(201).json(rating);
 }
 
+async function create(req, res) {
+  await createRating(req, res, req.body.movie);
+}
+
+// POST /movies/:id/ratings: la película se toma de la ruta, no del body
+async function createForMovie(req, res) {
+  await createRating(req, res, req.params.id);
+}
+
 async function update(req, res) {
-  const rating = await Rating.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true,
-  });
+  const previous = await Rating.findById(req.params.id);
 
-  if (!rating) {
+  if (!previous) {
     throw createError(404, "Rating not found");
   }
 
+  checkAuthor(previous, req);
+  await checkIfMatch(req, await ratingTag(previous));
+
+  const changes = req.body;
+
+  if (changes.movie !== undefined && !(await Movie.exists({ _id: changes.movie }))) {
+    throw createError(404, "Movie not found");
+  }
+
+  // Solo se escribe si nadie lo ha hecho desde que se leyó
+  const rating = await Rating.findOneAndUpdate(
+    { _id: previous._id, __v: previous.__v },
+    changes,
+    { new: true, runValidators: true },
+  ).populate("user", PUBLIC_FIELDS);
+
+  if (!rating) {
+    throw createError(409, "The rating was modified by another request", {
+      code: "EDIT_CONFLICT",
+    });
+  }
+
+  await Rating.updateMovieStats(rating.movie);
+  if (!previous.movie.equals(rating.movie)) {
+    await Rating.updateMovieStats(previous.movie);
+  }
+
+  await recordChange(auditContext(req), {
+    action: "update",
+    type: "Rating",
+    id: rating._id,
+    before: snapshot(previous),
+    after: snapshot(rating),
+  });
+
+  res.set("ETag", await ratingTag(rating));
   res.json(rating);
 }
 
 async function deleteRating(req, res) {
-  const rating = await Rating.findByIdAndDelete(req.params.id);
+  const rating = await Rating.findById(req.params.id);
 
   if (!rating) {
     throw createError(404, "Rating not found");
   }
 
+  checkAuthor(rating, req);
+  await checkIfMatch(req, await ratingTag(rating));
+  // A la papelera; un admin puede restaurarla o borrarla definitivamente
+  await trashRating(rating, auditContext(req));
+
   res.status(204).send();
 }
 
-export default { list, detail, create, update, delete: deleteRating };
+export default {
+  list,
+  listForMovie,
+  detail,
+  create,
+  createForMovie,
+  update,
+  delete: deleteRating,
+  export: exportRatings,
+};
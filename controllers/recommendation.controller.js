@@ -0,0 +1,24 @@
+import createError from "http-errors";
+import Movie from "../models/movie.model.js";
+import User from "../models/user.model.js";
+import { findSimilar, recommendFor } from "../services/recommendation.service.js";
+
+async function similar(req, res) {
+  const movie = await Movie.findById(req.params.id);
+
+  if (!movie) {
+    throw createError(404, "Movie not found");
+  }
+
+  res.json(await findSimilar(movie, { limit: req.query.limit }));
+}
+
+async function forUser(req, res) {
+  if (!(await User.exists({ _id: req.params.id }))) {
+    throw createError(404, "User not found");
+  }
+
+  res.json(await recommendFor(req.params.id, { limit: req.query.limit }));
+}
+
+export default { similar, forUser };
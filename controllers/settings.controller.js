@@ -0,0 +1,11 @@
+import { getSettings, updateSettings } from "../services/settings.service.js";
+
+async function show(req, res) {
+  res.json(await getSettings());
+}
+
+async function update(req, res) {
+  res.json(await updateSettings(req.body));
+}
+
+export default { show, update };
@@ -0,0 +1,84 @@
+import createError from "http-errors";
+import Movie from "../models/movie.model.js";
+import Rating from "../models/rating.model.js";
+import { PUBLIC_FIELDS } from "../models/user.model.js";
+import { auditContext } from "../services/audit.service.js";
+import {
+  purgeMovie,
+  purgeRating,
+  restoreMovie,
+  restoreRating,
+} from "../services/trash.service.js";
+import { paginate } from "../utils/pagination.js";
+
+const IN_TRASH = { deletedAt: { $ne: null } };
+// Lo borrado más recientemente primero
+const TRASH_SORT = { deletedAt: -1, _id: -1 };
+
+async function findTrashed(model, id, name) {
+  const doc = await model.findOne({ _id: id, ...IN_TRASH });
+
+  if (!doc) {
+    throw createError(404, `${name} not found in trash`);
+  }
+
+  return doc;
+}
+
+async function listMovies(req, res) {
+  res.json(await paginate(req, Movie, IN_TRASH, { sort: TRASH_SORT }));
+}
+
+async function restoreMovieFromTrash(req, res) {
+  const movie = await findTrashed(Movie, req.params.id, "Movie");
+  await restoreMovie(movie, auditContext(req));
+
+  res.json(await Movie.findById(movie._id));
+}
+
+async function purgeMovieFromTrash(req, res) {
+  const movie = await findTrashed(Movie, req.params.id, "Movie");
+  await purgeMovie(movie, auditContext(req));
+
+  res.status(204).send();
+}
+
+async function listRatings(req, res) {
+  res.json(
+    await paginate(req, Rating, IN_TRASH, {
+      sort: TRASH_SORT,
+      populate: [{ path: "user", select: PUBLIC_FIELDS }],
+    }),
+  );
+}
+
+// Una valoración no se puede restaurar sin su película
+async function restoreRatingFromTrash(req, res) {
+  const rating = await findTrashed(Rating, req.params.id, "Rating");
+
+  if (!(await Movie.exists({ _id: rating.movie }))) {
+    throw createError(409, "Restore the movie of this rating first", {
+      code: "MOVIE_IN_TRASH",
+    });
+  }
+
+  await restoreRating(rating, auditContext(req));
+
+  res.json(rating);
+}
+
+async function purgeRatingFromTrash(req, res) {
+  const rating = await findTrashed(Rating, req.params.id, "Rating");
+  await purgeRating(rating, auditContext(req));
+
+  res.status(204).send();
+}
+
+export default {
+  listMovies,
+  restoreMovie: restoreMovieFromTrash,
+  purgeMovie: purgeMovieFromTrash,
+  listRatings,
+  restoreRating: restoreRatingFromTrash,
+  purgeRating: purgeRatingFromTrash,
+};
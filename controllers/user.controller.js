@@ -1,5 +1,26 @@
 import createError from "http-errors";
+import { withTransaction } from "../config/db.config.js";
+import { config } from "../config/env.config.js";
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import Rating from "../models/rating.model.js";
+import WatchlistItem from "../models/watchlist-item.model.js";
+import Viewing from "../models/viewing.model.js";
+import PasswordResetToken from "../models/password-reset-token.model.js";
+import { SESSION_MAX_AGE_MS } from "../config/session.config.js";
+import { VERIFICATION_RESEND_INTERVAL_MS } from "../config/verification.config.js";
+import { sendMail } from "../services/mailer.service.js";
+import { loginGuard } from "../services/login-guard.service.js";
+import { logger } from "../services/logger.service.js";
+import { auditContext, recordChange, snapshot } from "../services/audit.service.js";
+import { recordRatings } from "../services/trash.service.js";
+import { checkIfMatch, entityTag } from "../utils/conditional.js";
+import {
+  readVerificationToken,
+  sendVerificationEmail,
+} from "../services/email-verification.service.js";
+
+const APP_URL = config.appUrl;
 
 async function list(req, res) {
   const users = await User.find();
@@ -13,11 +34,20 @@ async function detail(req, res) {
     throw createError(404, "User not found");
   }
 
+  res.set("ETag", entityTag(user));
   res.json(user);
 }
 
 async function create(req, res) {
   const user = await User.create(req.body);
+  await recordChange(auditContext(req), {
+    action: "create",
+    type: "User",
+    id: user._id,
+    after: snapshot(user),
+  });
+  await sendVerificationEmail(user);
+
   res.status(201).json(user);
 }
 
@@ -28,20 +58,255 @@ async function update(req, res) {
     throw createError(404, "User not found");
   }
 
+  if (req.body.role !== undefined && req.session.user.role !== "admin") {
+    throw createError(403, "Only admins can change roles", {
+      code: "ROLE_CHANGE_FORBIDDEN",
+    });
+  }
+
+  await checkIfMatch(req, entityTag(user));
+
+  const before = snapshot(user);
   Object.assign(user, req.body);
+
+  const emailChanged = user.isModified("email");
+  if (emailChanged) {
+    user.emailVerified = false;
+  }
+
   await user.save();
+  await recordChange(auditContext(req), {
+    action: "update",
+    type: "User",
+    id: user._id,
+    before,
+    after: snapshot(user),
+  });
 
+  if (emailChanged) {
+    await sendVerificationEmail(user);
+  }
+
+  res.set("ETag", entityTag(user));
   res.json(user);
 }
 
 async function deleteUser(req, res) {
-  const user = await User.findByIdAndDelete(req.params.id);
+  const existing = await User.findById(req.params.id);
+
+  if (!existing) {
+    throw createError(404, "User not found");
+  }
+
+  await checkIfMatch(req, entityTag(existing));
+
+  // Junto al usuario se borran sus sesiones, valoraciones, watchlist e historial,
+  // y se recalculan los agregados de las películas que había valorado
+  const { user, ratings } = await withTransaction(async (session) => {
+    const user = await User.findByIdAndDelete(req.params.id, { session });
+
+    if (!user) {
+      return {};
+    }
+
+    const ratings = await Rating.findWithTrashed({ user: user._id }, { session });
+    const movieIds = await Rating.distinct("movie", { user: user._id }).session(session);
+    await Rating.deleteMany({ user: user._id }, { session });
+    await Session.deleteMany({ user: user._id }, { session });
+    await WatchlistItem.deleteMany({ user: user._id }, { session });
+    await Viewing.deleteMany({ user: user._id }, { session });
+
+    for (const movieId of movieIds) {
+      await Rating.updateMovieStats(movieId, { session });
+    }
+
+    return { user, ratings };
+  });
 
   if (!user) {
     throw createError(404, "User not found");
   }
 
+  await recordChange(auditContext(req), {
+    action: "delete",
+    type: "User",
+    id: user._id,
+    before: snapshot(user),
+  });
+  await recordRatings(auditContext(req), "delete", ratings, null);
+
   res.status(204).send();
 }
 
-export default { list, detail, create, update, delete: deleteUser };
+async function login(req, res) {
+  const { email, password } = req.body;
+
+  await loginGuard.attempt(req.ip, email);
+
+  const user = await User.findOne({ email });
+
+  if (!user) {
+    throw createError(401, "Invalid credentials", { code: "INVALID_CREDENTIALS" });
+  }
+
+  const match = await user.checkPassword(password);
+
+  if (!match) {
+    throw createError(401, "Invalid credentials", { code: "INVALID_CREDENTIALS" });
+  }
+
+  await loginGuard.succeed(req.ip, email);
+
+  const token = await Session.issue(user._id);
+
+  res.cookie("sessionId", token, {
+    httpOnly: true,
+    secure: config.env === "production",
+    sameSite: "lax",
+    maxAge: SESSION_MAX_AGE_MS,
+  });
+  res.end();
+}
+
+async function profile(req, res) {
+  res.json(req.session.user);
+}
+
+async function logout(req, res) {
+  await req.session.deleteOne();
+
+  res.clearCookie("sessionId");
+  res.status(204).send();
+}
+
+async function sendPasswordResetEmail(email) {
+  const user = await User.findOne({ email });
+
+  if (!user) {
+    return;
+  }
+
+  const token = await PasswordResetToken.issue(user._id);
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Someone asked to reset the password of your account.\n\n` +
+      `Use this link to choose a new one:\n${APP_URL}/password-reset?token=${token}\n\n` +
+      `If it wasn't you, ignore this email.`,
+  });
+}
+
+// Responde siempre 202, y antes de buscar al usuario, para no revelar qué emails
+// están registrados ni por el tiempo de respuesta ni por un fallo al enviar el correo
+async function requestPasswordReset(req, res) {
+  res.status(202).send();
+
+  try {
+    await sendPasswordResetEmail(req.body.email);
+  } catch (err) {
+    logger.error("password reset email failed", { error: err });
+  }
+}
+
+async function confirmPasswordReset(req, res) {
+  const { token, password } = req.body;
+
+  const resetToken = await PasswordResetToken.findValid(token);
+  const user = resetToken && (await User.findById(resetToken.user));
+
+  if (!user) {
+    throw createError(400, "Invalid or expired token", { code: "INVALID_TOKEN" });
+  }
+
+  // Se valida la nueva contraseña antes de gastar el token
+  const before = snapshot(user);
+  user.password = password;
+  await user.validate();
+
+  // Marcado atómico: dos peticiones simultáneas no pueden usar el mismo token
+  const consumed = await PasswordResetToken.findOneAndUpdate(
+    { _id: resetToken._id, usedAt: null },
+    { usedAt: new Date() },
+  );
+
+  if (!consumed) {
+    throw createError(400, "Invalid or expired token", { code: "INVALID_TOKEN" });
+  }
+
+  await user.save();
+  await recordChange(auditContext(req), {
+    action: "update",
+    type: "User",
+    id: user._id,
+    before,
+    after: snapshot(user),
+  });
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+  await Session.deleteMany({ user: user._id });
+
+  res.status(204).send();
+}
+
+async function verifyEmail(req, res) {
+  const data = readVerificationToken(req.query.token);
+  const user = data && (await User.findById(data.sub));
+
+  // Un enlace enviado a un email anterior ya no sirve
+  if (!user || user.email !== data.email) {
+    throw createError(400, "Invalid or expired token", { code: "INVALID_TOKEN" });
+  }
+
+  if (!user.emailVerified) {
+    const before = snapshot(user);
+    user.emailVerified = true;
+    await user.save();
+    await recordChange(auditContext(req), {
+      action: "update",
+      type: "User",
+      id: user._id,
+      before,
+      after: snapshot(user),
+    });
+  }
+
+  res.status(204).send();
+}
+
+async function resendVerification(req, res) {
+  const { user } = req.session;
+
+  if (user.emailVerified) {
+    throw createError(409, "Email already verified", { code: "EMAIL_ALREADY_VERIFIED" });
+  }
+
+  const elapsed = Date.now() - (user.verificationSentAt?.getTime() ?? 0);
+
+  if (elapsed < VERIFICATION_RESEND_INTERVAL_MS) {
+    const retryAfter = Math.ceil((VERIFICATION_RESEND_INTERVAL_MS - elapsed) / 1000);
+    throw createError(429, "Verification email sent too recently", {
+      code: "VERIFICATION_RECENTLY_SENT",
+      headers: { "Retry-After": String(retryAfter) },
+    });
+  }
+
+  await sendVerificationEmail(user);
+
+  res.status(202).send();
+}
+
+export default {
+  list,
+  detail,
+  create,
+  update,
+  delete: deleteUser,
+  login,
+  profile,
+  logout,
+  requestPasswordReset,
+  confirmPasswordReset,
+  verifyEmail,
+  resendVerification,
+};
@@ -0,0 +1,43 @@
+import createError from "http-errors";
+import Movie from "../models/movie.model.js";
+import Viewing from "../models/viewing.model.js";
+import { paginate } from "../utils/pagination.js";
+
+// Historial de películas vistas, de la más reciente a la más antigua. Las que están
+// en la papelera no aparecen, pero se conservan por si se restauran.
+async function list(req, res) {
+  const filter = { user: req.params.id, movie: { $nin: await Movie.trashedIds() } };
+
+  res.json(
+    await paginate(req, Viewing, filter, {
+      sort: { watchedAt: -1, _id: -1 },
+      populate: "movie",
+    }),
+  );
+}
+
+async function create(req, res) {
+  if (!(await Movie.exists({ _id: req.body.movie }))) {
+    throw createError(404, "Movie not found");
+  }
+
+  const viewing = await Viewing.create({ ...req.body, user: req.params.id });
+  await viewing.populate("movie");
+
+  res.status(201).json(viewing);
+}
+
+async function deleteViewing(req, res) {
+  const viewing = await Viewing.findOneAndDelete({
+    _id: req.params.viewingId,
+    user: req.params.id,
+  });
+
+  if (!viewing) {
+    throw createError(404, "Viewing not found");
+  }
+
+  res.status(204).send();
+}
+
+export default { list, create, delete: deleteViewing };
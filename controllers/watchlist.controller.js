@@ -0,0 +1,56 @@
+import createError from "http-errors";
+import Movie from "../models/movie.model.js";
+import WatchlistItem from "../models/watchlist-item.model.js";
+import { paginate } from "../utils/pagination.js";
+
+// Lo añadido más recientemente primero. Las películas que están en la papelera no
+// aparecen, pero se conservan por si se restauran.
+async function list(req, res) {
+  const filter = { user: req.params.id, movie: { $nin: await Movie.trashedIds() } };
+
+  res.json(
+    await paginate(req, WatchlistItem, filter, {
+      sort: { createdAt: -1, _id: -1 },
+      populate: "movie",
+    }),
+  );
+}
+
+// Idempotente: añadir una película que ya está en la lista no es un error
+async function add(req, res) {
+  const { id: user, movieId: movie } = req.params;
+
+  if (!(await Movie.exists({ _id: movie }))) {
+    throw createError(404, "Movie not found");
+  }
+
+  // Se crea sin buscar antes: si dos peticiones llegan a la vez, el índice único
+  // solo deja pasar una y la otra devuelve la que ya existe
+  try {
+    const item = await WatchlistItem.create({ user, movie });
+    await item.populate("movie");
+
+    res.status(201).json(item);
+  } catch (err) {
+    if (err.code !== 11000) {
+      throw err;
+    }
+
+    res.json(await WatchlistItem.findOne({ user, movie }).populate("movie"));
+  }
+}
+
+async function remove(req, res) {
+  const item = await WatchlistItem.findOneAndDelete({
+    user: req.params.id,
+    movie: req.params.movieId,
+  });
+
+  if (!item) {
+    throw createError(404, "Movie not in watchlist");
+  }
+
+  res.status(204).send();
+}
+
+export default { list, add, remove };
@@ -0,0 +1,135 @@
+import createError from "http-errors";
+import Session from "../models/session.model.js";
+import { UNVERIFIED_ACCESS } from "../config/verification.config.js";
+import { addLogContext } from "../services/logger.service.js";
+
+// Rutas accesibles sin sesión (registro, login, recuperación de contraseña y
+// enlace de verificación del email). Como checkAuth se usa dentro del router de la
+// API, las rutas son relativas a su prefijo (/api/v1) y valen también para los alias
+// antiguos, que se reescriben a ese prefijo.
+export const PUBLIC_ROUTES = [
+  { method: "POST", path: "/users" },
+  { method: "POST", path: "/users/login" },
+  { method: "POST", path: "/users/password-reset" },
+  { method: "POST", path: "/users/password-reset/confirm" },
+  { method: "GET", path: "/users/verify-email" },
+];
+
+// Rutas que un usuario sin verificar puede usar siempre, sea cual sea la política.
+// Editar o borrar su cuenta le permite corregir un email mal escrito.
+const UNVERIFIED_ROUTES = [
+  { method: "GET", path: "/users/profile" },
+  { method: "DELETE", path: "/users/logout" },
+  { method: "POST", path: "/users/verify-email/resend" },
+  { method: "PATCH", path: /^\/users\/[^/]+$/ },
+  { method: "DELETE", path: /^\/users\/[^/]+$/ },
+];
+
+function matchesRoute(req, routes) {
+  return routes.some(
+    (route) =>
+      route.method === req.method &&
+      (route.path instanceof RegExp
+        ? route.path.test(req.path)
+        : route.path === req.path),
+  );
+}
+
+function isPublicRoute(req) {
+  return matchesRoute(req, PUBLIC_ROUTES);
+}
+
+// Valor de una cookie de la cabecera Cookie ("a=1; b=2"). Compara el nombre
+// completo para no confundir sessionId con, por ejemplo, xsessionId.
+function readCookie(req, name) {
+  for (const pair of req.headers.cookie?.split(";") ?? []) {
+    const [key, ...value] = pair.trim().split("=");
+
+    if (key === name) {
+      return value.join("=");
+    }
+  }
+
+  return undefined;
+}
+
+export async function checkAuth(req, res, next) {
+  if (isPublicRoute(req)) {
+    next();
+    return;
+  }
+
+  const token = readCookie(req, "sessionId");
+
+  if (!token) {
+    throw createError(401, "Unauthorized");
+  }
+
+  const session = await Session.findByToken(token).populate("user");
+
+  if (!session || !session.user) {
+    throw createError(401, "Unauthorized");
+  }
+
+  if (session.isExpired()) {
+    await session.deleteOne();
+    throw createError(401, "Session expired", { code: "SESSION_EXPIRED" });
+  }
+
+  session.lastActivityAt = new Date();
+  await session.save();
+
+  req.session = session;
+  addLogContext({ user: session.user.id });
+  next();
+}
+
+// Aplica la política UNVERIFIED_ACCESS a los usuarios con el email sin verificar
+export function checkVerified(req, res, next) {
+  const user = req.session?.user;
+
+  if (
+    !user ||
+    user.emailVerified ||
+    UNVERIFIED_ACCESS === "full" ||
+    matchesRoute(req, UNVERIFIED_ROUTES) ||
+    (UNVERIFIED_ACCESS === "read-only" && ["GET", "HEAD"].includes(req.method))
+  ) {
+    next();
+    return;
+  }
+
+  throw createError(403, "Email not verified", { code: "EMAIL_NOT_VERIFIED" });
+}
+
+// Solo permite el paso a usuarios con alguno de los roles indicados
+export function checkRole(...roles) {
+  const middleware = (req, res, next) => {
+    if (!roles.includes(req.session.user.role)) {
+      throw createError(403, "Forbidden");
+    }
+
+    next();
+  };
+
+  // Se conservan los roles para la documentación de la API
+  middleware.roles = roles;
+  return middleware;
+}
+
+// Permite el paso al dueño del recurso /:id o a usuarios con alguno de los roles
+export function checkSelfOrRole(...roles) {
+  const middleware = (req, res, next) => {
+    const { user } = req.session;
+
+    if (user.id !== req.params.id && !roles.includes(user.role)) {
+      throw createError(403, "Forbidden");
+    }
+
+    next();
+  };
+
+  middleware.roles = roles;
+  middleware.allowsSelf = true;
+  return middleware;
+}
@@ -1,29 +1,148 @@
-export function errorHandler(err, req, res, next) {
-  // Error de validación de Mongoose (campos obligatorios, formatos incorrectos, etc.)
+import { STATUS_CODES } from "node:http";
+import { logger } from "../services/logger.service.js";
+
+// Códigos de los errores por campo según el `kind` de Mongoose o de validate()
+const FIELD_CODES = {
+  required: "REQUIRED",
+  unknown: "UNKNOWN_FIELD",
+  type: "INVALID_TYPE",
+  duplicate: "DUPLICATE_PARAMETER",
+  enum: "INVALID_VALUE",
+  min: "OUT_OF_RANGE",
+  max: "OUT_OF_RANGE",
+  minlength: "TOO_SHORT",
+  maxlength: "TOO_LONG",
+  regexp: "INVALID_FORMAT",
+};
+
+// "Not Found" → "NOT_FOUND"
+function statusCode(status) {
+  return (STATUS_CODES[status] ?? "Error")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+}
+
+function fieldErrors(err) {
+  return Object.entries(err.errors).map(([field, error]) => ({
+    field,
+    code:
+      error.name === "CastError"
+        ? "INVALID_TYPE"
+        : (FIELD_CODES[error.kind] ?? "INVALID_VALUE"),
+    message: error.message,
+  }));
+}
+
+// Traduce cualquier error a { status, code, detail, errors?, headers? }
+function describe(err) {
+  // Error de validación de Mongoose o de validate() (campos obligatorios, formatos…)
   if (err.name === "ValidationError") {
-    res.status(400).json(err.errors);
-    return;
+    return {
+      status: 400,
+      code: "VALIDATION_FAILED",
+      detail: "The request contains invalid fields",
+      errors: fieldErrors(err),
+    };
+  }
+
+  // Error de cast de Mongoose fuera de la validación (p. ej. un filtro con un id inválido)
+  if (err.name === "CastError") {
+    return {
+      status: 400,
+      code: "VALIDATION_FAILED",
+      detail: "The request contains invalid fields",
+      errors: [{ field: err.path, code: "INVALID_TYPE", message: err.message }],
+    };
+  }
+
+  // Clave duplicada en MongoDB: se indica qué campos chocan
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyPattern ?? err.keyValue ?? {});
+    const message =
+      fields.length > 1
+        ? `The combination of ${fields.join(", ")} already exists`
+        : `The ${fields[0]} is already in use`;
+
+    return {
+      status: 409,
+      code: "DUPLICATE_KEY",
+      detail: "Resource already exists",
+      errors: fields.map((field) => ({ field, code: "ALREADY_EXISTS", message })),
+    };
   }
 
-  // Error con status definido (http-errors)
+  // save() de un documento que otra petición modificó desde que se leyó
+  // (ver models/versioning.plugin.js)
+  if (err.name === "VersionError") {
+    return {
+      status: 409,
+      code: "EDIT_CONFLICT",
+      detail: "The resource was modified by another request",
+    };
+  }
+
+  // JSON mal formado en el body (express.json)
+  if (err.type === "entity.parse.failed") {
+    return { status: 400, code: "INVALID_JSON", detail: "Malformed JSON body" };
+  }
+
+  // Error con status definido (http-errors), con código y cabeceras opcionales.
+  // Los mensajes de los 5xx no se exponen (expose es false en http-errors).
   if (err.status) {
-    res.status(err.status).json({ error: err.message });
-    return;
+    return {
+      status: err.status,
+      code: typeof err.code === "string" ? err.code : statusCode(err.status),
+      detail: err.expose ? err.message : STATUS_CODES[err.status],
+      headers: err.headers,
+    };
   }
 
-  // Error de cast de Mongoose (ID con formato inválido)
-  if (err.name === "CastError") {
-    res.status(404).json({ error: "Resource not found" });
+  return {
+    status: 500,
+    code: "INTERNAL_ERROR",
+    detail: "Internal server error",
+  };
+}
+
+// Todas las respuestas de error siguen el formato "problem details" (RFC 7807):
+//
+//   { type, title, status, code, detail, instance, requestId, errors? }
+export function errorHandler(err, req, res, next) {
+  // Si la respuesta ya empezó (p. ej. una exportación a medias) solo se puede cortar
+  if (res.headersSent) {
+    next(err);
     return;
   }
 
-  // Error de clave duplicada en MongoDB (E11000)
-  if (err.message?.includes("E11000")) {
-    res.status(409).json({ error: "Resource already exist" });
-    return;
+  const problem = describe(err);
+
+  // Los 5xx se registran completos pero al cliente solo le llega el mensaje genérico
+  if (problem.status >= 500) {
+    logger.error("unhandled error", {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      user: req.session?.user?.id,
+      error: err,
+    });
+  }
+
+  if (problem.headers) {
+    res.set(problem.headers);
   }
 
-  // Cualquier otro error
-  console.error(err);
-  res.status(500).json({ error: "Internal server error" });
+  res
+    .status(problem.status)
+    .type("application/problem+json")
+    .json({
+      type: "about:blank",
+      title: STATUS_CODES[problem.status],
+      status: problem.status,
+      code: problem.code,
+      detail: problem.detail,
+      instance: req.originalUrl,
+      requestId: req.id,
+      ...(problem.errors && { errors: problem.errors }),
+    });
 }
@@ -0,0 +1,44 @@
+import {
+  API_PREFIX,
+  LEGACY_DEPRECATED_AT,
+  LEGACY_PREFIXES,
+  LEGACY_SUNSET_AT,
+} from "../config/api.config.js";
+import { logger } from "../services/logger.service.js";
+
+function legacyPrefix(path) {
+  return Object.keys(LEGACY_PREFIXES).find(
+    (prefix) => path === prefix || path.startsWith(`${prefix}/`),
+  );
+}
+
+// Reescribe las rutas antiguas (/movies, /api/users…) a su equivalente bajo
+// /api/v1 para que las atienda el router versionado. La respuesta lleva las
+// cabeceras Deprecation (RFC 9745), Sunset (RFC 8594) y un Link a la ruta nueva,
+// y cada uso se registra para saber qué clientes quedan por migrar.
+export function legacyRoutes(req, res, next) {
+  const prefix = legacyPrefix(req.path);
+
+  if (!prefix) {
+    next();
+    return;
+  }
+
+  const successor = `${API_PREFIX}${LEGACY_PREFIXES[prefix]}${req.path.slice(prefix.length)}`;
+
+  res.set({
+    Deprecation: `@${Math.floor(LEGACY_DEPRECATED_AT.getTime() / 1000)}`,
+    Sunset: LEGACY_SUNSET_AT.toUTCString(),
+    Link: `<${successor}>; rel="successor-version"`,
+  });
+
+  logger.warn("deprecated route used", {
+    method: req.method,
+    path: req.path,
+    successor,
+    userAgent: req.get("User-Agent"),
+  });
+
+  req.url = `${API_PREFIX}${LEGACY_PREFIXES[prefix]}${req.url.slice(prefix.length)}`;
+  next();
+}
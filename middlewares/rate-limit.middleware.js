@@ -0,0 +1,39 @@
+import createError from "http-errors";
+import { RATE_LIMITS } from "../config/rate-limit.config.js";
+import { getStore } from "../services/rate-limit-store.service.js";
+
+// Por defecto cuenta por usuario autenticado y, si no hay sesión, por IP
+function defaultKey(req) {
+  return req.session?.user?.id ?? req.ip;
+}
+
+// Limita las peticiones según el presupuesto `budgetName` de RATE_LIMITS
+export function rateLimit(budgetName, { key = defaultKey } = {}) {
+  const { windowMs, max } = RATE_LIMITS[budgetName];
+
+  const middleware = async (req, res, next) => {
+    const { count, resetAt } = await getStore().increment(
+      `rate-limit:${budgetName}:${key(req)}`,
+      windowMs,
+    );
+    const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (count > max) {
+      throw createError(429, "Too many requests", {
+        code: "RATE_LIMITED",
+        headers: { "Retry-After": String(resetSeconds) },
+      });
+    }
+
+    next();
+  };
+
+  middleware.rateLimit = budgetName;
+  return middleware;
+}
@@ -0,0 +1,19 @@
+import { randomUUID } from "node:crypto";
+import { runWithLogContext } from "../services/logger.service.js";
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Solo se reutiliza el id recibido si tiene un formato razonable
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Asigna a cada petición un id de correlación y lo devuelve en la respuesta.
+// Si el cliente (o un proxy) ya envía uno, se respeta. El resto de la petición se
+// atiende dentro de su contexto de log, así que todas las entradas llevan el id.
+export function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  runWithLogContext({ requestId: req.id }, next);
+}
@@ -0,0 +1,26 @@
+import { logger } from "../services/logger.service.js";
+
+// Registra cada petición al terminar: método, URL, estado, latencia y usuario.
+// Los 5xx se registran como error y los 4xx como warn.
+export function requestLogger(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on("close", () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+
+    logger[level]("request completed", {
+      requestId: req.id,
+      user: req.session?.user?.id,
+      method: req.method,
+      url: req.originalUrl,
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      contentLength: Number(res.get("Content-Length")) || undefined,
+      // El cliente cerró la conexión antes de recibir la respuesta completa
+      aborted: res.writableFinished ? undefined : true,
+    });
+  });
+
+  next();
+}
@@ -0,0 +1,241 @@
+import mongoose, { isObjectIdOrHexString } from "mongoose";
+
+const { ValidationError, ValidatorError } = mongoose.Error;
+
+// Qué hacer con los campos no declarados en cada parte de la petición
+const DEFAULT_UNKNOWN = { params: "reject", query: "reject", body: "strip" };
+
+class FieldError extends Error {
+  constructor(message, kind) {
+    super(message);
+    this.kind = kind;
+  }
+}
+
+// Convierte el valor al tipo declarado o lanza un FieldError
+const TYPES = {
+  string(value) {
+    if (typeof value !== "string") {
+      throw new FieldError("must be a string", "type");
+    }
+    return value;
+  },
+  number(value) {
+    const number =
+      typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+    if (typeof number !== "number" || Number.isNaN(number)) {
+      throw new FieldError("must be a number", "type");
+    }
+    return number;
+  },
+  integer(value) {
+    const number = TYPES.number(value);
+
+    if (!Number.isInteger(number)) {
+      throw new FieldError("must be an integer", "type");
+    }
+    return number;
+  },
+  boolean(value) {
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    throw new FieldError("must be a boolean", "type");
+  },
+  date(value) {
+    const date = new Date(value);
+
+    if (
+      !["string", "number"].includes(typeof value) ||
+      Number.isNaN(date.getTime())
+    ) {
+      throw new FieldError("must be a valid date", "type");
+    }
+    return date;
+  },
+  objectId(value) {
+    if (typeof value !== "string" || !isObjectIdOrHexString(value)) {
+      throw new FieldError("must be a valid id", "type");
+    }
+    return value;
+  },
+  // Sin conversión: el modelo se encarga (p. ej. duration acepta "2h 22min" o minutos)
+  any(value) {
+    return value;
+  },
+};
+
+function checkValue(spec, value) {
+  const typed = TYPES[spec.type](value);
+
+  if (spec.enum && !spec.enum.includes(typed)) {
+    throw new FieldError(`must be one of: ${spec.enum.join(", ")}`, "enum");
+  }
+  if (spec.min !== undefined && typed < spec.min) {
+    throw new FieldError(`must be at least ${spec.min}`, "min");
+  }
+  if (spec.max !== undefined && typed > spec.max) {
+    throw new FieldError(`must be at most ${spec.max}`, "max");
+  }
+  if (spec.match && !spec.match.test(typed)) {
+    throw new FieldError("has an invalid format", "regexp");
+  }
+
+  return typed;
+}
+
+function checkField(spec, value, section) {
+  if (spec.type === "array") {
+    // En la query se admiten valores repetidos (?a=1&a=2) o separados por comas (?a=1,2)
+    const items =
+      section === "query"
+        ? [value]
+            .flat()
+            .flatMap((item) => item.split(","))
+            .map((item) => item.trim())
+            .filter(Boolean)
+        : value;
+
+    if (!Array.isArray(items)) {
+      throw new FieldError("must be an array", "type");
+    }
+
+    return items.map((item) => checkValue(spec.items ?? { type: "any" }, item));
+  }
+
+  if (section === "query" && Array.isArray(value)) {
+    throw new FieldError("must appear only once", "duplicate");
+  }
+
+  return checkValue(spec, value);
+}
+
+// Valida y convierte params, query y body según `schema`:
+//
+//   validate({
+//     params: { id: { type: "objectId", required: true } },
+//     body: { title: { type: "string", required: true }, year: { type: "integer" } },
+//   })
+//
+// Tipos: string, number, integer, boolean, date, objectId, array (con `items`) y any.
+// Reglas: required, default, enum, min, max y match. Los campos no declarados se
+// eliminan del body y se rechazan en params y query (configurable con `unknown`).
+// Los errores se lanzan como un ValidationError de Mongoose para que errorHandler
+// los trate igual que los del modelo.
+export function validate(schema) {
+  const unknownPolicy = { ...DEFAULT_UNKNOWN, ...schema.unknown };
+
+  const middleware = (req, res, next) => {
+    const error = new ValidationError();
+    const results = {};
+
+    for (const section of ["params", "query", "body"]) {
+      const fields = schema[section];
+
+      if (!fields) {
+        continue;
+      }
+
+      const input = req[section] ?? {};
+      const output = unknownPolicy[section] === "keep" ? { ...input } : {};
+
+      for (const key of Object.keys(input)) {
+        if (!(key in fields) && unknownPolicy[section] === "reject") {
+          error.addError(
+            key,
+            new ValidatorError({
+              message: `Unknown ${section} field \`${key}\``,
+              path: key,
+              value: input[key],
+              type: "unknown",
+            }),
+          );
+        }
+      }
+
+      for (const [key, spec] of Object.entries(fields)) {
+        const value = input[key];
+
+        // Una lista vacía (?genre=) no es lo mismo que no enviar el parámetro
+        if (value === undefined || (value === "" && spec.type !== "array")) {
+          if (spec.required) {
+            error.addError(
+              key,
+              new ValidatorError({
+                message: `Path \`${key}\` is required.`,
+                path: key,
+                value,
+                type: "required",
+              }),
+            );
+          } else if (spec.default !== undefined) {
+            output[key] = spec.default;
+          }
+          continue;
+        }
+
+        // null en el body sirve para borrar un campo opcional
+        if (value === null && section === "body" && !spec.required) {
+          output[key] = null;
+          continue;
+        }
+
+        try {
+          output[key] = checkField(spec, value, section);
+        } catch (err) {
+          if (!(err instanceof FieldError)) {
+            throw err;
+          }
+
+          error.addError(
+            key,
+            new ValidatorError({
+              message: `Path \`${key}\` ${err.message}.`,
+              path: key,
+              value,
+              type: err.kind,
+            }),
+          );
+        }
+      }
+
+      results[section] = output;
+    }
+
+    if (Object.keys(error.errors).length) {
+      throw error;
+    }
+
+    if (results.params) {
+      req.params = results.params;
+    }
+    if (results.body) {
+      req.body = results.body;
+    }
+    // En Express 5 req.query es un getter de solo lectura
+    if (results.query) {
+      Object.defineProperty(req, "query", {
+        value: results.query,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    }
+
+    next();
+  };
+
+  // Se conserva el esquema para poder generar documentación a partir de las rutas
+  middleware.schema = schema;
+  return middleware;
+}
+
+// Copia de un esquema de body con todos los campos opcionales (para PATCH)
+export function partial(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, { required, default: _, ...spec }]) => [
+      key,
+      spec,
+    ]),
+  );
+}
@@ -0,0 +1,60 @@
+import { Schema, model } from "mongoose";
+
+export const AUDITED_MODELS = ["Movie", "Rating", "User"];
+
+export const AUDIT_ACTIONS = ["create", "update", "delete", "restore", "purge", "revert"];
+
+// Un cambio en una película, valoración o usuario: quién, cuándo, en qué petición
+// y qué campos cambiaron. Ver services/audit.service.js.
+const auditEntrySchema = new Schema(
+  {
+    resourceType: {
+      type: String,
+      enum: AUDITED_MODELS,
+      required: true,
+    },
+    resourceId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    // null si no hay sesión (registro, enlaces de correo, scripts...)
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    requestId: {
+      type: String,
+      default: null,
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: Schema.Types.Mixed,
+        after: Schema.Types.Mixed,
+      },
+    ],
+    // Revisión a la que se volvió, en las entradas "revert"
+    revision: {
+      type: Schema.Types.ObjectId,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      virtuals: true,
+    },
+  },
+);
+
+auditEntrySchema.index({ resourceType: 1, resourceId: 1, _id: -1 });
+
+const AuditEntry = model("AuditEntry", auditEntrySchema);
+
+export default AuditEntry;
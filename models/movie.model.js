@@ -1,4 +1,54 @@
 import { Schema, model } from "mongoose";
+import { words } from "../utils/text.js";
+import { softDelete } from "./soft-delete.plugin.js";
+import { versioning } from "./versioning.plugin.js";
+
+// Campos que se pueden editar (por la API, la importación o al revertir un cambio)
+export const EDITABLE_FIELDS = ["title", "year", "director", "duration", "genre", "rate"];
+
+// Comparación de textos sin distinguir mayúsculas, p. ej. para buscar por género
+export const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+const DURATION_PATTERN = /^(?:(\d+)\s*h)?\s*(?:(\d+)\s*min)?$/i;
+const FIRST_MOVIE_YEAR = 1888;
+
+// Convierte "2h 22min", "2h", "45min" o "142" en minutos. Devuelve NaN si no se entiende.
+export function parseDuration(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+
+  const match = text.match(DURATION_PATTERN);
+
+  if (!text || !match) {
+    return NaN;
+  }
+
+  const [, hours = 0, minutes = 0] = match;
+  return Number(hours) * 60 + Number(minutes);
+}
+
+// Convierte minutos en el formato legible "2h 22min"
+export function formatDuration(minutes) {
+  if (minutes == null) {
+    return undefined;
+  }
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+
+  if (!hours) {
+    return `${rest}min`;
+  }
+
+  return rest ? `${hours}h ${rest}min` : `${hours}h`;
+}
 
 const movieSchema = new Schema(
   {
@@ -8,31 +58,116 @@ const movieSchema = new Schema(
       trim: true,
     },
     year: {
-      type: String,
+      type: Number,
       required: true,
+      min: FIRST_MOVIE_YEAR,
+      validate: {
+        validator: (value) => value <= new Date().getFullYear() + 10,
+        message: "Year is too far in the future",
+      },
     },
     director: {
       type: String,
       required: true,
       trim: true,
     },
+    // Duración en minutos. Acepta también el formato "2h 22min".
     duration: {
-      type: String,
+      type: Number,
+      min: 1,
+      set: (value) => {
+        if (value == null || value === "") {
+          return value;
+        }
+
+        const minutes = parseDuration(value);
+        return Number.isNaN(minutes) ? value : minutes;
+      },
     },
     genre: {
       type: [String],
     },
     rate: {
-      type: String,
+      type: Number,
+      min: 0,
+      max: 10,
+    },
+    // Agregados de Rating mantenidos por Rating.updateMovieStats
+    averageScore: {
+      type: Number,
+      default: null,
+    },
+    ratingsCount: {
+      type: Number,
+      default: 0,
+    },
+    // Prefijos para el autocompletado, calculados a partir del título (ver titleSearchTerms)
+    searchTerms: {
+      type: [String],
+      select: false,
     },
   },
   {
     toJSON: {
       virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.searchTerms;
+        return ret;
+      },
     },
   },
 );
 
+movieSchema.plugin(softDelete);
+movieSchema.plugin(versioning);
+
+// Título y año identifican una película (ver la importación). deletedAt forma parte
+// de la clave para que la papelera pueda guardar copias de una película activa.
+// Para crearlo en una base de datos existente: npm run migrate:movie-unique
+movieSchema.index({ title: 1, year: 1, deletedAt: 1 }, { unique: true });
+movieSchema.index({ searchTerms: 1 });
+// Para las recomendaciones (ver findCandidates en services/recommendation.service.js)
+movieSchema.index({ genre: 1 }, { collation: CASE_INSENSITIVE });
+movieSchema.index({ director: 1 }, { collation: CASE_INSENSITIVE });
+
+// Búsqueda de texto completo. Sin idioma para que no se quiten palabras vacías ni
+// se reduzcan a su raíz; los índices de texto ya ignoran mayúsculas y tildes.
+movieSchema.index(
+  { title: "text", director: "text", genre: "text" },
+  {
+    name: "movie_text_search",
+    weights: { title: 10, director: 5, genre: 2 },
+    default_language: "none",
+  },
+);
+
+// El título normalizado a partir de cada una de sus palabras, para que el
+// autocompletado encuentre "The Godfather" escribiendo "the god" o "godf":
+// "Amélie Poulain" → ["amelie poulain", "poulain"]
+export function titleSearchTerms(title) {
+  const titleWords = words(title ?? "");
+  return titleWords.map((word, i) => titleWords.slice(i).join(" "));
+}
+
+movieSchema.pre("save", function () {
+  if (this.isModified("title")) {
+    this.searchTerms = titleSearchTerms(this.title);
+  }
+});
+
+movieSchema.pre("findOneAndUpdate", function () {
+  const update = this.getUpdate();
+  const title = update.$set?.title ?? update.title;
+
+  if (title !== undefined) {
+    this.set("searchTerms", titleSearchTerms(title));
+  }
+});
+
+movieSchema.virtual("durationText").get(function () {
+  return formatDuration(this.duration);
+});
+
 movieSchema.virtual("ratings", {
   ref: "Rating",
   localField: "_id",
@@ -0,0 +1,52 @@
+import { Schema, model } from "mongoose";
+import { config } from "../config/env.config.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+const TOKEN_TTL_MS = config.passwordResetTokenTtlMs;
+
+// Solo se guarda el hash del token: quien lea la base de datos no puede usarlo
+const passwordResetTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + TOKEN_TTL_MS),
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Crea un token para el usuario y devuelve el valor en claro (no se guarda)
+passwordResetTokenSchema.statics.issue = async function (userId) {
+  const token = generateToken();
+  await this.create({ user: userId, tokenHash: hashToken(token) });
+  return token;
+};
+
+// Devuelve el token si existe, no ha caducado y no se ha usado
+passwordResetTokenSchema.statics.findValid = function (token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+const PasswordResetToken = model("PasswordResetToken", passwordResetTokenSchema);
+
+export default PasswordResetToken;
@@ -1,4 +1,16 @@
-import { Schema, model } from "mongoose";
+import { Schema, Types, model } from "mongoose";
+import Movie from "./movie.model.js";
+import { softDelete } from "./soft-delete.plugin.js";
+import { versioning } from "./versioning.plugin.js";
+
+// Órdenes de GET /movies/:id/ratings. No hay createdAt: el _id ya ordena por fecha
+// de creación y deshace los empates de score.
+export const RATING_SORTS = {
+  newest: { _id: -1 },
+  oldest: { _id: 1 },
+  highest: { score: -1, _id: -1 },
+  lowest: { score: 1, _id: -1 },
+};
 
 const ratingSchema = new Schema(
   {
@@ -7,6 +19,11 @@ const ratingSchema = new Schema(
       ref: "Movie",
       required: true,
     },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
     text: {
       type: String,
       required: true,
@@ -27,6 +44,100 @@ const ratingSchema = new Schema(
   },
 );
 
+ratingSchema.plugin(softDelete);
+ratingSchema.plugin(versioning);
+
+// Un usuario solo puede valorar una vez cada película. El filtro parcial deja
+// fuera las valoraciones antiguas, creadas antes de que existiera el autor.
+// Las valoraciones en la papelera también cuentan (ver ratingController.create).
+ratingSchema.index(
+  { movie: 1, user: 1 },
+  { unique: true, partialFilterExpression: { user: { $exists: true } } },
+);
+
+// Valoraciones de una película por fecha o por nota (ver RATING_SORTS). Cada orden
+// por nota necesita el suyo: recorrer uno al revés invertiría también el desempate.
+ratingSchema.index({ movie: 1, _id: -1 });
+ratingSchema.index({ movie: 1, score: -1, _id: -1 });
+ratingSchema.index({ movie: 1, score: 1, _id: -1 });
+
+// Media (redondeada a 2 decimales) y número de valoraciones agrupados por película
+ratingSchema.statics.aggregateMovieStats = function (match = {}) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$movie",
+        averageScore: { $round: [{ $avg: "$score" }, 2] },
+        ratingsCount: { $sum: 1 },
+      },
+    },
+  ]);
+};
+
+// Recalcula averageScore y ratingsCount de una película a partir de sus valoraciones
+ratingSchema.statics.updateMovieStats = async function (movieId, { session = null } = {}) {
+  const [stats] = await this.aggregateMovieStats({
+    movie: new Types.ObjectId(String(movieId)),
+  }).session(session);
+
+  await Movie.updateOne(
+    { _id: movieId },
+    {
+      averageScore: stats?.averageScore ?? null,
+      ratingsCount: stats?.ratingsCount ?? 0,
+    },
+    { session },
+  );
+};
+
+// Recalcula los agregados de todas las películas y corrige los que no cuadran
+ratingSchema.statics.repairMovieStats = async function ({ dryRun = false } = {}) {
+  const stats = await this.aggregateMovieStats();
+  const statsByMovie = new Map(stats.map((item) => [item._id.toString(), item]));
+  const drifted = [];
+
+  for await (const movie of Movie.find().select("title averageScore ratingsCount")) {
+    const expected = statsByMovie.get(movie.id);
+    const averageScore = expected?.averageScore ?? null;
+    const ratingsCount = expected?.ratingsCount ?? 0;
+
+    if (movie.averageScore !== averageScore || movie.ratingsCount !== ratingsCount) {
+      drifted.push({
+        id: movie.id,
+        title: movie.title,
+        before: { averageScore: movie.averageScore, ratingsCount: movie.ratingsCount },
+        after: { averageScore, ratingsCount },
+      });
+    }
+  }
+
+  if (!dryRun && drifted.length) {
+    await Movie.bulkWrite(
+      // bulkWrite no pasa por los middlewares: la versión se incrementa a mano
+      drifted.map(({ id, after }) => ({
+        updateOne: { filter: { _id: id }, update: { $set: after, $inc: { __v: 1 } } },
+      })),
+    );
+  }
+
+  return drifted;
+};
+
+ratingSchema.statics.scoreHistogram = async function (movieId) {
+  const counts = await this.aggregate([
+    { $match: { movie: new Types.ObjectId(String(movieId)) } },
+    { $group: { _id: "$score", count: { $sum: 1 } } },
+  ]);
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach(({ _id, count }) => {
+    histogram[_id] = count;
+  });
+
+  return histogram;
+};
+
 const Rating = model("Rating", ratingSchema);
 
 export default Rating;
@@ -0,0 +1,69 @@
+import { Schema, model } from "mongoose";
+import {
+  SESSION_IDLE_TIMEOUT_MS,
+  SESSION_MAX_AGE_MS,
+} from "../config/session.config.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Hash del token de la cookie; las sesiones anteriores a este campo no lo tienen
+    // (sparse) y caducan solas
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      sparse: true,
+    },
+    lastActivityAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + SESSION_MAX_AGE_MS),
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret._id;
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+  },
+);
+
+// MongoDB borra automáticamente las sesiones que superan su caducidad absoluta
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isExpired = function () {
+  const now = Date.now();
+  return (
+    this.expiresAt.getTime() <= now ||
+    now - this.lastActivityAt.getTime() > SESSION_IDLE_TIMEOUT_MS
+  );
+};
+
+// Crea una sesión para el usuario y devuelve el token en claro (no se guarda)
+sessionSchema.statics.issue = async function (userId) {
+  const token = generateToken();
+  await this.create({ user: userId, tokenHash: hashToken(token) });
+  return token;
+};
+
+sessionSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+const Session = model("Session", sessionSchema);
+
+export default Session;
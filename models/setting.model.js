@@ -0,0 +1,18 @@
+import { Schema, model } from "mongoose";
+
+// Un ajuste cambiado por un admin; el _id es su nombre (ver services/settings.service.js)
+const settingSchema = new Schema(
+  {
+    _id: {
+      type: String,
+    },
+    value: {
+      type: Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true },
+);
+
+const Setting = model("Setting", settingSchema);
+
+export default Setting;
@@ -0,0 +1,46 @@
+// Borrado lógico: los documentos con deletedAt están en la papelera. Las consultas
+// (también populate y aggregate) los ocultan salvo que filtren ellas mismas por
+// deletedAt, p. ej. { deletedAt: { $ne: null } } para listar la papelera.
+// Los deleteOne/deleteMany siguen borrando definitivamente, estén o no en la papelera.
+const FILTERED_QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "updateOne",
+  "updateMany",
+];
+
+export function softDelete(schema) {
+  schema.add({ deletedAt: { type: Date, default: null } });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (!("deletedAt" in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const [first] = this.pipeline();
+
+    if (!(first?.$match && "deletedAt" in first.$match)) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  // Todo lo que cumple `filter`, esté o no en la papelera
+  schema.static("findWithTrashed", async function (filter = {}, { session = null } = {}) {
+    const inTrash = { ...filter, deletedAt: { $ne: null } };
+    const active = await this.find(filter).session(session);
+    const trashed = await this.find(inTrash).session(session);
+    return [...active, ...trashed];
+  });
+
+  // Ids de lo que está en la papelera, para excluirlo de los listados de otras
+  // colecciones que lo referencian (p. ej. la watchlist)
+  schema.static("trashedIds", function () {
+    return this.distinct("_id", { deletedAt: { $ne: null } });
+  });
+}
@@ -1,5 +1,11 @@
 import { Schema, model } from "mongoose";
 import bcrypt from "bcrypt";
+import { versioning } from "./versioning.plugin.js";
+
+// Campos que se pueden mostrar de un usuario a otros usuarios (p. ej. el autor de una valoración)
+export const PUBLIC_FIELDS = "fullName";
+
+export const ROLES = ["admin", "member"];
 
 const userSchema = new Schema(
   {
@@ -24,6 +30,18 @@ const userSchema = new Schema(
       type: String,
       trim: true,
     },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "member",
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    verificationSentAt: {
+      type: Date,
+    },
     birthDate: {
       type: Date,
       required: true,
@@ -47,6 +65,7 @@ const userSchema = new Schema(
       virtuals: true,
       transform: (doc, ret) => {
         delete ret.password;
+        delete ret.verificationSentAt;
         delete ret._id;
         return ret;
       },
@@ -54,12 +73,18 @@ const userSchema = new Schema(
   },
 );
 
+userSchema.plugin(versioning);
+
 userSchema.pre("save", async function () {
   if (this.isModified("password")) {
     this.password = await bcrypt.hash(this.password, 10);
   }
 });
 
+userSchema.methods.checkPassword = function (passwordToCheck) {
+  return bcrypt.compare(passwordToCheck, this.password);
+};
+
 const User = model("User", userSchema);
 
 export default User;
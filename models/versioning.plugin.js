@@ -0,0 +1,17 @@
+// Mantiene en __v la versión del documento, de la que se derivan los ETag (ver
+// utils/conditional.js). Mongoose solo la incrementa al modificar arrays; aquí
+// cambia con cualquier escritura, ya sea con save() o con un update.
+export function versioning(schema) {
+  // increment() además hace que save() falle con un VersionError si otra
+  // petición ha modificado el documento desde que se leyó
+  schema.pre("save", function () {
+    if (!this.isNew && this.isModified()) {
+      this.increment();
+    }
+  });
+
+  schema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function () {
+    const update = this.getUpdate();
+    this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
+  });
+}
@@ -0,0 +1,38 @@
+import { Schema, model } from "mongoose";
+
+// Una vez que un usuario vio una película. Se puede ver la misma película varias veces.
+const viewingSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    movie: {
+      type: Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true,
+    },
+    watchedAt: {
+      type: Date,
+      default: Date.now,
+      validate: {
+        validator: (value) => value <= new Date(),
+        message: "Watched date cannot be in the future",
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+    },
+  },
+);
+
+viewingSchema.index({ user: 1, watchedAt: -1 });
+viewingSchema.index({ movie: 1 });
+
+const Viewing = model("Viewing", viewingSchema);
+
+export default Viewing;
@@ -0,0 +1,31 @@
+import { Schema, model } from "mongoose";
+
+// Película que un usuario ha guardado para ver más adelante
+const watchlistItemSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    movie: {
+      type: Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+    },
+  },
+);
+
+// Cada película aparece una sola vez en la lista de cada usuario
+watchlistItemSchema.index({ user: 1, movie: 1 }, { unique: true });
+watchlistItemSchema.index({ movie: 1 });
+
+const WatchlistItem = model("WatchlistItem", watchlistItemSchema);
+
+export default WatchlistItem;
@@ -0,0 +1,44 @@
+// Informa de documentos huérfanos (valoraciones, sesiones, watchlists e historiales
+// que apuntan a películas o usuarios que ya no existen). Con --fix los borra.
+// Uso: npm run check-consistency [-- --fix]
+import mongoose from "mongoose";
+import { connectDatabase } from "../config/db.config.js";
+import { findOrphans, fixOrphans } from "../services/consistency.service.js";
+
+const fix = process.argv.includes("--fix");
+
+const LABELS = {
+  ratingsWithoutMovie: "Ratings pointing to a missing movie",
+  ratingsWithoutUser: "Ratings pointing to a missing user",
+  sessionsWithoutUser: "Sessions pointing to a missing user",
+  watchlistItemsWithoutMovie: "Watchlist items pointing to a missing movie",
+  watchlistItemsWithoutUser: "Watchlist items pointing to a missing user",
+  viewingsWithoutMovie: "Viewings pointing to a missing movie",
+  viewingsWithoutUser: "Viewings pointing to a missing user",
+};
+
+try {
+  await connectDatabase();
+
+  const orphans = await findOrphans();
+  let total = 0;
+
+  for (const [key, documents] of Object.entries(orphans)) {
+    total += documents.length;
+    console.log(`${LABELS[key]}: ${documents.length}`);
+    documents.forEach((doc) => console.log(`  - ${doc._id}`));
+  }
+
+  if (fix && total) {
+    await fixOrphans(orphans);
+    console.log(`Deleted ${total} orphaned documents`);
+  } else if (total) {
+    console.log("Run with --fix to delete them");
+    process.exitCode = 1;
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
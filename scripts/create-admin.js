@@ -0,0 +1,58 @@
+// Crea el primer administrador, o asciende a admin a un usuario existente.
+// Uso: npm run create-admin -- --email admin@example.com --password secret \
+//        --full-name "Admin" --birth-date 1990-01-01 [--force]
+// --force permite crear otro admin aunque ya exista alguno.
+import { parseArgs } from "node:util";
+import mongoose from "mongoose";
+import { connectDatabase } from "../config/db.config.js";
+import User from "../models/user.model.js";
+
+const { values } = parseArgs({
+  options: {
+    email: { type: "string" },
+    password: { type: "string" },
+    "full-name": { type: "string" },
+    "birth-date": { type: "string" },
+    force: { type: "boolean", default: false },
+  },
+});
+
+try {
+  await connectDatabase();
+
+  if (!values.email) {
+    throw new Error("--email is required");
+  }
+
+  if (!values.force && (await User.exists({ role: "admin" }))) {
+    throw new Error("An admin already exists. Use --force to create another one");
+  }
+
+  const existing = await User.findOne({ email: values.email });
+
+  if (existing) {
+    existing.role = "admin";
+    existing.emailVerified = true;
+    await existing.save();
+    console.log(`Promoted ${existing.email} to admin`);
+  } else {
+    const admin = await User.create({
+      email: values.email,
+      password: values.password,
+      fullName: values["full-name"],
+      birthDate: values["birth-date"],
+      role: "admin",
+      emailVerified: true,
+    });
+    console.log(`Created admin ${admin.email}`);
+  }
+} catch (err) {
+  if (err.name === "ValidationError") {
+    Object.values(err.errors).forEach((error) => console.error(error.message));
+  } else {
+    console.error(err.message);
+  }
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,21 @@
+// Regenera postman_collection.json a partir de la especificación OpenAPI.
+// Uso: npm run export:postman [-- archivo.json]
+import { writeFile } from "node:fs/promises";
+import router from "../config/routes.config.js";
+import {
+  buildOpenApiSpec,
+  toPostmanCollection,
+} from "../services/openapi.service.js";
+
+const file = process.argv[2] ?? "postman_collection.json";
+
+try {
+  const collection = toPostmanCollection(buildOpenApiSpec(router));
+  await writeFile(file, JSON.stringify(collection, null, "\t") + "\n");
+
+  const requests = collection.item.reduce((total, folder) => total + folder.item.length, 0);
+  console.log(`Wrote ${requests} requests to ${file}`);
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,97 @@
+// Convierte year, duration y rate de texto a número en las películas existentes.
+// Uso: npm run migrate:movie-types [-- --dry-run]
+import mongoose from "mongoose";
+import { connectDatabase } from "../config/db.config.js";
+import Movie, { parseDuration } from "../models/movie.model.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+function convert(field, value) {
+  const text = value.trim();
+
+  if (field === "duration") {
+    return parseDuration(text);
+  }
+
+  const number = text === "" ? NaN : Number(text);
+
+  if (field === "year" && !Number.isInteger(number)) {
+    return NaN;
+  }
+
+  if (field === "rate" && (number < 0 || number > 10)) {
+    return NaN;
+  }
+
+  return number;
+}
+
+const FIELDS = ["year", "duration", "rate"];
+const operations = [];
+const failures = [];
+
+try {
+  await connectDatabase();
+
+  const cursor = Movie.collection.find({
+    $or: FIELDS.map((field) => ({ [field]: { $type: "string" } })),
+  });
+
+  for await (const doc of cursor) {
+    const $set = {};
+    const $unset = {};
+    const errors = [];
+
+    for (const field of FIELDS) {
+      const value = doc[field];
+
+      if (typeof value !== "string") {
+        continue;
+      }
+
+      // Los campos opcionales vacíos se eliminan en lugar de convertirse
+      if (value.trim() === "" && field !== "year") {
+        $unset[field] = "";
+        continue;
+      }
+
+      const number = convert(field, value);
+
+      if (Number.isNaN(number)) {
+        errors.push(`${field}: "${value}"`);
+      } else {
+        $set[field] = number;
+      }
+    }
+
+    if (errors.length) {
+      failures.push({ id: doc._id, title: doc.title, errors });
+      continue;
+    }
+
+    const update = { $set };
+    if (Object.keys($unset).length) {
+      update.$unset = $unset;
+    }
+
+    operations.push({ updateOne: { filter: { _id: doc._id }, update } });
+  }
+
+  if (!dryRun && operations.length) {
+    await Movie.collection.bulkWrite(operations);
+  }
+
+  console.log(
+    `${dryRun ? "[dry-run] Would convert" : "Converted"} ${operations.length} movies`,
+  );
+
+  if (failures.length) {
+    console.warn(`Could not convert ${failures.length} movies:`);
+    failures.forEach(({ id, title, errors }) => {
+      console.warn(`  - ${id} "${title}": ${errors.join(", ")}`);
+    });
+    process.exitCode = 1;
+  }
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,54 @@
+// Crea el índice único de título y año de las películas. Antes informa de las
+// películas activas repetidas: si las hay no toca nada, hay que fusionarlas o
+// borrarlas primero. También borra el índice anterior, que no era único.
+// Uso: npm run migrate:movie-unique [-- --dry-run]
+import mongoose from "mongoose";
+import { connectDatabase } from "../config/db.config.js";
+import Movie from "../models/movie.model.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const OLD_INDEX = "title_1_year_1";
+
+try {
+  await connectDatabase();
+
+  // El plugin de papelera deja fuera de la agregación las películas borradas
+  const duplicates = await Movie.aggregate([
+    {
+      $group: {
+        _id: { title: "$title", year: "$year" },
+        ids: { $push: "$_id" },
+      },
+    },
+    { $match: { "ids.1": { $exists: true } } },
+    { $sort: { "_id.title": 1, "_id.year": 1 } },
+  ]);
+
+  duplicates.forEach(({ _id: { title, year }, ids }) => {
+    console.log(`"${title}" (${year}): ${ids.join(", ")}`);
+  });
+
+  if (duplicates.length) {
+    console.log(
+      `${duplicates.length} repeated movies. Merge or delete them before creating ` +
+        "the unique index",
+    );
+    process.exitCode = 1;
+  } else if (dryRun) {
+    console.log("[dry-run] No repeated movies; the unique index can be created");
+  } else {
+    const indexes = await Movie.collection.indexes();
+
+    if (indexes.some((index) => index.name === OLD_INDEX)) {
+      await Movie.collection.dropIndex(OLD_INDEX);
+    }
+
+    await Movie.createIndexes();
+    console.log("Created the unique index on title and year");
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
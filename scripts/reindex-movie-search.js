@@ -0,0 +1,41 @@
+// Crea los índices de búsqueda y recalcula los términos de autocompletado de las
+// películas que no los tienen o los tienen desactualizados (p. ej. las anteriores
+// a la búsqueda o modificadas directamente en la base de datos).
+// Uso: npm run reindex:movie-search [-- --dry-run]
+import mongoose from "mongoose";
+import { connectDatabase } from "../config/db.config.js";
+import Movie, { titleSearchTerms } from "../models/movie.model.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const operations = [];
+
+try {
+  await connectDatabase();
+
+  for await (const movie of Movie.find().select("title +searchTerms").lean()) {
+    const searchTerms = titleSearchTerms(movie.title);
+
+    if (String(movie.searchTerms ?? "") !== String(searchTerms)) {
+      operations.push({
+        updateOne: { filter: { _id: movie._id }, update: { $set: { searchTerms } } },
+      });
+    }
+  }
+
+  if (!dryRun) {
+    await Movie.createIndexes();
+
+    if (operations.length) {
+      await Movie.bulkWrite(operations);
+    }
+  }
+
+  console.log(
+    `${dryRun ? "[dry-run] Would reindex" : "Reindexed"} ${operations.length} movies`,
+  );
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
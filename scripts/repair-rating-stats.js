@@ -0,0 +1,29 @@
+// Recalcula averageScore y ratingsCount de todas las películas desde la colección Rating.
+// Uso: npm run repair:rating-stats [-- --dry-run]
+import mongoose from "mongoose";
+import { connectDatabase } from "../config/db.config.js";
+import Rating from "../models/rating.model.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+try {
+  await connectDatabase();
+
+  const drifted = await Rating.repairMovieStats({ dryRun });
+
+  drifted.forEach(({ id, title, before, after }) => {
+    console.log(
+      `${id} "${title}": averageScore ${before.averageScore} → ${after.averageScore}, ` +
+        `ratingsCount ${before.ratingsCount} → ${after.ratingsCount}`,
+    );
+  });
+
+  console.log(
+    `${dryRun ? "[dry-run] Would repair" : "Repaired"} ${drifted.length} movies`,
+  );
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
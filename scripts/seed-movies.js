@@ -0,0 +1,63 @@
+// Importa un catálogo de películas (por defecto data/movies.json).
+// Uso: npm run seed -- [archivo] [--dry-run] [--reset]
+//   --dry-run  muestra qué se crearía, actualizaría u omitiría sin escribir nada
+//   --reset    borra todas las películas antes de importar (solo fuera de producción)
+import { readFile } from "node:fs/promises";
+import mongoose from "mongoose";
+import { connectDatabase } from "../config/db.config.js";
+import { config } from "../config/env.config.js";
+import { importMovies } from "../services/movie-import.service.js";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const reset = args.includes("--reset");
+const file = args.find((arg) => !arg.startsWith("--")) ?? "data/movies.json";
+
+const SYMBOLS = { created: "+", updated: "~", skipped: "=", rejected: "!" };
+
+try {
+  await connectDatabase();
+
+  if (reset && config.env === "production") {
+    throw new Error("--reset is not allowed in production");
+  }
+
+  const records = JSON.parse(await readFile(file, "utf8"));
+
+  if (!Array.isArray(records)) {
+    throw new Error(`${file} must contain an array of movies`);
+  }
+
+  // El archivo ya está entero en memoria: se detallan todas las filas
+  const { summary, results } = await importMovies(records, {
+    dryRun,
+    replace: reset,
+    maxResults: Infinity,
+  });
+
+  if (dryRun) {
+    results.forEach((result) => {
+      const label = result.title ? `"${result.title}" (${result.year ?? "?"})` : `#${result.index}`;
+      console.log(`${SYMBOLS[result.status]} ${result.status} ${label}`);
+    });
+  }
+
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach(({ index, title, errors }) => {
+      const details = Object.entries(errors)
+        .map(([path, message]) => `${path}: ${message}`)
+        .join("; ");
+      console.warn(`Record #${index}${title ? ` "${title}"` : ""} rejected — ${details}`);
+    });
+
+  console.log(
+    `${dryRun ? "[dry-run] " : ""}deleted: ${summary.deleted}, created: ${summary.created}, ` +
+      `updated: ${summary.updated}, skipped: ${summary.skipped}, rejected: ${summary.rejected}`,
+  );
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,104 @@
+import AuditEntry from "../models/audit-entry.model.js";
+
+// Campos que no se registran: internos, mantenidos por la aplicación a partir de
+// otras colecciones o sin interés para el historial
+const IGNORED_FIELDS = [
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "searchTerms",
+  "averageScore",
+  "ratingsCount",
+  "verificationSentAt",
+];
+
+// De estos campos solo consta que cambiaron, nunca su valor
+const REDACTED_FIELDS = ["password"];
+export const REDACTED = "[REDACTED]";
+
+// Quién hace el cambio y en qué petición. Fuera de una petición (scripts, tareas
+// periódicas) se usa un contexto vacío.
+export function auditContext(req) {
+  return { actor: req.session?.user?._id ?? null, requestId: req.id ?? null };
+}
+
+// Copia plana de un documento, para compararla después de modificarlo
+export function snapshot(doc) {
+  return doc ? doc.toObject({ depopulate: true, virtuals: false }) : null;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function redact(value) {
+  return value == null ? null : REDACTED;
+}
+
+// Cambios campo a campo entre dos snapshots; null si el documento no existía
+// (creación) o ya no existe (borrado definitivo)
+export function diff(before, after) {
+  const fields = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+  const changes = [];
+
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+
+    if (IGNORED_FIELDS.includes(field) || sameValue(from, to)) {
+      continue;
+    }
+
+    changes.push(
+      REDACTED_FIELDS.includes(field)
+        ? { field, before: redact(from), after: redact(to) }
+        : { field, before: from, after: to },
+    );
+  }
+
+  return changes;
+}
+
+// Registra un cambio en el historial. Una edición que no cambia nada no deja rastro.
+export async function recordChange(
+  context,
+  { action, type, id, before = null, after = null, revision },
+) {
+  const changes = diff(before, after);
+
+  if (["update", "revert"].includes(action) && !changes.length) {
+    return null;
+  }
+
+  return AuditEntry.create({
+    resourceType: type,
+    resourceId: id,
+    action,
+    actor: context.actor,
+    requestId: context.requestId,
+    changes,
+    revision,
+  });
+}
+
+// Estado de un documento justo después de una revisión (una entrada del historial):
+// se parte del estado actual y se deshacen, de la más reciente a la más antigua,
+// las entradas posteriores
+export async function stateAt(revision, current) {
+  const later = await AuditEntry.find({
+    resourceType: revision.resourceType,
+    resourceId: revision.resourceId,
+    _id: { $gt: revision._id },
+  }).sort({ _id: -1 });
+
+  const state = { ...current };
+
+  for (const entry of later) {
+    for (const { field, before } of entry.changes) {
+      state[field] = before;
+    }
+  }
+
+  return state;
+}
@@ -0,0 +1,82 @@
+import Movie from "../models/movie.model.js";
+import Rating from "../models/rating.model.js";
+import Session from "../models/session.model.js";
+import User from "../models/user.model.js";
+import WatchlistItem from "../models/watchlist-item.model.js";
+import Viewing from "../models/viewing.model.js";
+
+// Ids de los documentos de `model` cuyo campo `field` apunta a un documento
+// inexistente de `target`. Los documentos sin referencia no cuentan.
+function findDangling(model, field, target) {
+  return model.aggregate([
+    { $match: { [field]: { $exists: true, $ne: null } } },
+    {
+      $lookup: {
+        from: target.collection.name,
+        localField: field,
+        foreignField: "_id",
+        as: "target",
+      },
+    },
+    { $match: { target: { $size: 0 } } },
+    { $project: { _id: 1, [field]: 1 } },
+  ]);
+}
+
+// Busca valoraciones, sesiones, watchlists e historiales que apuntan a películas
+// o usuarios borrados
+export async function findOrphans() {
+  const [
+    ratingsWithoutMovie,
+    ratingsWithoutUser,
+    sessionsWithoutUser,
+    watchlistItemsWithoutMovie,
+    watchlistItemsWithoutUser,
+    viewingsWithoutMovie,
+    viewingsWithoutUser,
+  ] = await Promise.all([
+    findDangling(Rating, "movie", Movie),
+    findDangling(Rating, "user", User),
+    findDangling(Session, "user", User),
+    findDangling(WatchlistItem, "movie", Movie),
+    findDangling(WatchlistItem, "user", User),
+    findDangling(Viewing, "movie", Movie),
+    findDangling(Viewing, "user", User),
+  ]);
+
+  return {
+    ratingsWithoutMovie,
+    ratingsWithoutUser,
+    sessionsWithoutUser,
+    watchlistItemsWithoutMovie,
+    watchlistItemsWithoutUser,
+    viewingsWithoutMovie,
+    viewingsWithoutUser,
+  };
+}
+
+const ids = (documents) => documents.map((doc) => doc._id);
+
+// Borra los huérfanos encontrados y recalcula los agregados de las películas afectadas
+export async function fixOrphans(orphans) {
+  const ratings = [...orphans.ratingsWithoutMovie, ...orphans.ratingsWithoutUser];
+  const sessions = orphans.sessionsWithoutUser;
+
+  await Rating.deleteMany({ _id: { $in: ids(ratings) } });
+  await Session.deleteMany({ _id: { $in: ids(sessions) } });
+  await WatchlistItem.deleteMany({
+    _id: {
+      $in: ids([...orphans.watchlistItemsWithoutMovie, ...orphans.watchlistItemsWithoutUser]),
+    },
+  });
+  await Viewing.deleteMany({
+    _id: { $in: ids([...orphans.viewingsWithoutMovie, ...orphans.viewingsWithoutUser]) },
+  });
+
+  const movieIds = new Set(
+    orphans.ratingsWithoutUser.map((rating) => rating.movie.toString()),
+  );
+  for (const movieId of movieIds) {
+    await Rating.updateMovieStats(movieId);
+  }
+}
@@ -0,0 +1,60 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { config } from "../config/env.config.js";
+import { API_PREFIX } from "../config/api.config.js";
+import { sendMail } from "./mailer.service.js";
+
+const SECRET = config.emailVerificationSecret;
+const TOKEN_TTL_MS = config.emailVerificationTtlMs;
+const APP_URL = config.appUrl;
+
+function sign(payload) {
+  return createHmac("sha256", SECRET).update(payload).digest("base64url");
+}
+
+// Token firmado "<payload>.<firma>". Incluye el email, así que deja de valer si
+// el usuario lo cambia antes de usarlo.
+export function createVerificationToken(user) {
+  const payload = Buffer.from(
+    JSON.stringify({ sub: user.id, email: user.email, exp: Date.now() + TOKEN_TTL_MS }),
+  ).toString("base64url");
+
+  return `${payload}.${sign(payload)}`;
+}
+
+// Devuelve { sub, email } si la firma es válida y no ha caducado, o null
+export function readVerificationToken(token) {
+  const [payload, signature] = String(token ?? "").split(".");
+
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return data.exp > Date.now() ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function sendVerificationEmail(user) {
+  const token = createVerificationToken(user);
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email",
+    text:
+      `Please confirm that this is your email address:\n` +
+      `${APP_URL}${API_PREFIX}/users/verify-email?token=${token}`,
+  });
+
+  user.verificationSentAt = new Date();
+  await user.save();
+}
@@ -0,0 +1,138 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { config, LOG_LEVELS } from "../config/env.config.js";
+
+// Logger estructurado: cada entrada es un objeto JSON de una línea
+//
+//   { time, level, message, requestId?, user?, ...campos }
+//
+// Un destino es cualquier objeto con un método write(entry). En los tests se usa
+// uno en memoria para poder comprobar qué se ha registrado.
+
+const REDACTED = "[REDACTED]";
+
+// Campos cuyo valor nunca se registra, estén donde estén
+const SENSITIVE_KEYS = /password|cookie|authorization|secret|token/i;
+
+// Credenciales dentro de textos: query strings (?token=...) y cabeceras Cookie
+const SENSITIVE_TEXT = [
+  [/(\w*(?:password|token|secret)\w*=)[^&\s"]+/gi, `$1${REDACTED}`],
+  [/\b(sessionId=)[^;\s"]+/g, `$1${REDACTED}`],
+];
+
+export function createStreamDestination(stream = process.stdout) {
+  return {
+    write(entry) {
+      stream.write(`${JSON.stringify(entry)}\n`);
+    },
+  };
+}
+
+// Acumula las entradas en `entries`; pensado para los tests
+export function createMemoryDestination() {
+  const entries = [];
+
+  return {
+    entries,
+    write(entry) {
+      entries.push(entry);
+    },
+  };
+}
+
+let destination =
+  config.env === "test" ? createMemoryDestination() : createStreamDestination();
+let level = config.logLevel;
+
+export function setDestination(newDestination) {
+  destination = newDestination;
+}
+
+export function getDestination() {
+  return destination;
+}
+
+export function setLogLevel(newLevel) {
+  if (!LOG_LEVELS.includes(newLevel)) {
+    throw new Error(`Unknown log level "${newLevel}"`);
+  }
+
+  level = newLevel;
+}
+
+// Contexto de la petición en curso (requestId, user), que se añade a todas las
+// entradas registradas mientras se atiende, también desde servicios y modelos
+const context = new AsyncLocalStorage();
+
+export function runWithLogContext(fields, fn) {
+  return context.run({ ...fields }, fn);
+}
+
+export function addLogContext(fields) {
+  Object.assign(context.getStore() ?? {}, fields);
+}
+
+function redactText(text) {
+  return SENSITIVE_TEXT.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text,
+  );
+}
+
+// Copia serializable de `value` sin datos sensibles. Los errores conservan nombre,
+// mensaje, código y stack; los documentos de Mongoose, ObjectId y fechas pasan por
+// su toJSON().
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === "string") {
+    return redactText(value);
+  }
+
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const { name, message, code, status, stack } = value;
+    return redact({ name, message, code, status, stack }, seen);
+  }
+
+  if (typeof value.toJSON === "function") {
+    const json = value.toJSON();
+    return json === value ? json : redact(json, seen);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => [key, SENSITIVE_KEYS.test(key) ? REDACTED : redact(item, seen)]),
+  );
+}
+
+function log(entryLevel, message, fields = {}) {
+  if (LOG_LEVELS.indexOf(entryLevel) < LOG_LEVELS.indexOf(level)) {
+    return;
+  }
+
+  destination.write({
+    time: new Date().toISOString(),
+    level: entryLevel,
+    message: redactText(message),
+    ...redact({ ...context.getStore(), ...fields }),
+  });
+}
+
+export const logger = {
+  debug: (message, fields) => log("debug", message, fields),
+  info: (message, fields) => log("info", message, fields),
+  warn: (message, fields) => log("warn", message, fields),
+  error: (message, fields) => log("error", message, fields),
+};
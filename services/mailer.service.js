@@ -0,0 +1,69 @@
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { config } from "../config/env.config.js";
+import { logger } from "./logger.service.js";
+
+// Un transporte es cualquier objeto con un método async send(message).
+// Para enviar correos reales basta con escribir otro (p. ej. con nodemailer)
+// y registrarlo con setTransport().
+
+// Solo registra en el log el destinatario y el asunto: el texto lleva enlaces con
+// tokens que no deben acabar en los logs. Para leer los correos en desarrollo
+// está el transporte "file".
+export function createConsoleTransport() {
+  return {
+    async send(message) {
+      logger.info("mail sent", { to: message.to, subject: message.subject });
+    },
+  };
+}
+
+// Guarda cada correo como un .json en `dir`
+export function createFileTransport(dir) {
+  return {
+    async send(message) {
+      await mkdir(dir, { recursive: true });
+      const file = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`;
+      await writeFile(path.join(dir, file), JSON.stringify(message, null, 2));
+    },
+  };
+}
+
+// Acumula los correos en `messages`; pensado para los tests
+export function createMemoryTransport() {
+  const messages = [];
+
+  return {
+    messages,
+    async send(message) {
+      messages.push(message);
+    },
+  };
+}
+
+// MAIL_TRANSPORT ya viene validado desde config/env.config.js
+const TRANSPORTS = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport(config.mailDir),
+  memory: () => createMemoryTransport(),
+};
+
+let transport = TRANSPORTS[config.mailTransport]();
+
+export function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+export function getTransport() {
+  return transport;
+}
+
+export async function sendMail({ to, subject, text }) {
+  await transport.send({
+    from: config.mailFrom,
+    to,
+    subject,
+    text,
+    date: new Date().toISOString(),
+  });
+}
@@ -0,0 +1,222 @@
+import Movie, { EDITABLE_FIELDS } from "../models/movie.model.js";
+import { recordChange, snapshot } from "./audit.service.js";
+import { purgeMovie } from "./trash.service.js";
+import { CSV_LIST_SEPARATOR } from "../utils/records.js";
+
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+// Filas que se detallan en el resultado; del resto solo se cuentan en el resumen
+export const MAX_REPORTED_RESULTS = 1000;
+
+// Columnas de la exportación; al importar, las que no son editables se ignoran
+export const MOVIE_COLUMNS = ["id", ...EDITABLE_FIELDS, "averageScore", "ratingsCount"];
+
+// Convierte una fila de CSV (todo strings) en un registro: las celdas vacías se
+// omiten y los géneros vienen separados por "|"
+export function movieFromCsv(row) {
+  return Object.fromEntries(
+    Object.entries(row)
+      .filter(([, value]) => value.trim() !== "")
+      .map(([column, value]) => [
+        column,
+        column === "genre"
+          ? value
+              .split(CSV_LIST_SEPARATOR)
+              .map((genre) => genre.trim())
+              .filter(Boolean)
+          : value,
+      ]),
+  );
+}
+
+function validationMessages(err) {
+  return Object.fromEntries(
+    Object.entries(err.errors).map(([path, error]) => [path, error.message]),
+  );
+}
+
+function movieKey(title, year) {
+  return JSON.stringify([title, year]);
+}
+
+// La película con ese título y año: la de la base de datos o, en dry-run, la que
+// habría dejado una fila anterior del mismo archivo
+async function findExisting(title, year, { dryRun, replace, simulated }) {
+  if (title == null || year == null) {
+    return null;
+  }
+
+  const previous = dryRun && simulated.get(movieKey(title, year));
+
+  if (previous?.created) {
+    return Movie.hydrate({ _id: previous.id, ...previous.changes });
+  }
+
+  // Con replace la colección aún no se ha vaciado: se trata como vacía
+  if (dryRun && replace) {
+    return null;
+  }
+
+  const movie = await Movie.findOne({ title, year });
+
+  if (movie && previous) {
+    return Movie.hydrate({ ...movie.toObject(), ...previous.changes });
+  }
+
+  return movie;
+}
+
+async function importRecord(record, index, { dryRun, replace, context, simulated }) {
+  // Los lectores de CSV y JSON devuelven un Error para las filas que no pueden leer
+  if (record instanceof Error) {
+    return { index, status: "rejected", errors: { record: record.message } };
+  }
+
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return { index, status: "rejected", errors: { record: "Record must be an object" } };
+  }
+
+  const fields = EDITABLE_FIELDS.filter((field) => record[field] !== undefined);
+  // El documento nuevo convierte título y año igual que al guardarlos, para buscar
+  // con los mismos valores que tendría la película en la base de datos
+  const candidate = new Movie(
+    Object.fromEntries(fields.map((field) => [field, record[field]])),
+  );
+  const { title, year } = candidate;
+
+  const existing = await findExisting(title, year, { dryRun, replace, simulated });
+
+  // Una fila que crea la película debe cumplir el esquema completo; una que
+  // actualiza solo trae los campos que cambian y se valida junto a los existentes
+  const movie = existing ?? candidate;
+  const before = existing && snapshot(existing);
+
+  if (existing) {
+    // set() ignora los campos que no cambian; los que no se pueden convertir
+    // quedan como error de validación
+    for (const field of fields) {
+      existing.set(field, record[field]);
+    }
+
+    if (!existing.isModified()) {
+      return { index, status: "skipped", id: existing.id, title, year };
+    }
+  }
+
+  try {
+    await movie.validate();
+  } catch (err) {
+    if (err.name !== "ValidationError") {
+      throw err;
+    }
+
+    return {
+      index,
+      status: "rejected",
+      title: record.title,
+      errors: validationMessages(err),
+    };
+  }
+
+  if (dryRun) {
+    // Solo se recuerdan los campos que han traído las filas, no el documento entero
+    const previous = simulated.get(movieKey(title, year));
+    const values = movie.toObject();
+
+    simulated.set(movieKey(title, year), {
+      id: movie._id,
+      created: !existing || Boolean(previous?.created),
+      changes: {
+        ...previous?.changes,
+        ...Object.fromEntries(fields.map((field) => [field, values[field]])),
+      },
+    });
+  } else {
+    try {
+      await movie.save();
+    } catch (err) {
+      // Otra importación ha creado la misma película mientras tanto (el índice
+      // único de título y año lo impide): la fila se vuelve a aplicar como update
+      if (err.code === 11000 && !existing) {
+        return importRecord(record, index, { dryRun, replace, context, simulated });
+      }
+
+      throw err;
+    }
+
+    await recordChange(context, {
+      action: existing ? "update" : "create",
+      type: "Movie",
+      id: movie._id,
+      before,
+      after: snapshot(movie),
+    });
+  }
+
+  return { index, status: existing ? "updated" : "created", id: movie.id, title, year };
+}
+
+// Con replace se borran todas las películas, también las de la papelera, y con
+// ellas lo que depende de cada una (ver purgeMovie)
+async function purgeCatalog({ dryRun, context }) {
+  if (dryRun) {
+    const [active, trashed] = await Promise.all([
+      Movie.countDocuments(),
+      Movie.countDocuments(IN_TRASH),
+    ]);
+    return active + trashed;
+  }
+
+  let deleted = 0;
+
+  for (const filter of [{}, IN_TRASH]) {
+    for await (const movie of Movie.find(filter)) {
+      await purgeMovie(movie, context);
+      deleted++;
+    }
+  }
+
+  return deleted;
+}
+
+// Importa películas haciendo upsert por título y año. Los registros inválidos se
+// informan en el resultado sin detener el resto del lote. Con `replace` se borra
+// antes todo el catálogo. `records` puede ser un array o un iterable asíncrono
+// (p. ej. un archivo que se va leyendo). `context` indica a quién se atribuyen los
+// cambios en el historial (ver auditContext). Solo se detallan las `maxResults`
+// primeras filas; `truncated` indica si había más.
+export async function importMovies(
+  records,
+  {
+    dryRun = false,
+    replace = false,
+    context = {},
+    maxResults = MAX_REPORTED_RESULTS,
+  } = {},
+) {
+  const deleted = replace ? await purgeCatalog({ dryRun, context }) : 0;
+  // En dry-run no se guarda nada: los campos de las películas que se crearían o
+  // modificarían se recuerdan aquí para que las filas repetidas del archivo cuenten
+  // como updates
+  const simulated = new Map();
+  const summary = { deleted, created: 0, updated: 0, skipped: 0, rejected: 0 };
+  const results = [];
+
+  let index = 0;
+  for await (const record of records) {
+    const result = await importRecord(record, index++, {
+      dryRun,
+      replace,
+      context,
+      simulated,
+    });
+
+    summary[result.status]++;
+
+    if (results.length < maxResults) {
+      results.push(result);
+    }
+  }
+
+  return { dryRun, summary, results, truncated: index > results.length };
+}
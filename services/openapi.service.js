@@ -0,0 +1,609 @@
+import { readFileSync } from "node:fs";
+import { STATUS_CODES } from "node:http";
+import Movie from "../models/movie.model.js";
+import Rating from "../models/rating.model.js";
+import User from "../models/user.model.js";
+import WatchlistItem from "../models/watchlist-item.model.js";
+import Viewing from "../models/viewing.model.js";
+import AuditEntry from "../models/audit-entry.model.js";
+import { config } from "../config/env.config.js";
+import { API_PREFIX } from "../config/api.config.js";
+import { OPERATIONS } from "../config/openapi.config.js";
+import { PUBLIC_ROUTES } from "../middlewares/auth.middleware.js";
+import { SETTINGS } from "./settings.service.js";
+
+const { version } = JSON.parse(
+  readFileSync(new URL("../package.json", import.meta.url), "utf8"),
+);
+
+// Modelos que se publican como esquemas y campos que su toJSON nunca devuelve
+const MODELS = {
+  Movie: { model: Movie, hidden: ["searchTerms"] },
+  Rating: { model: Rating },
+  User: { model: User, hidden: ["password", "verificationSentAt"] },
+  WatchlistItem: { model: WatchlistItem },
+  Viewing: { model: Viewing },
+  AuditEntry: { model: AuditEntry },
+};
+
+const OBJECT_ID = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+const SUGGESTION_SCHEMA = {
+  type: "object",
+  properties: {
+    movie: { $ref: "#/components/schemas/Movie" },
+    score: { type: "number", minimum: 0, maximum: 1 },
+    sharedGenres: { type: "array", items: { type: "string" } },
+    sameDirector: { type: "boolean" },
+    basedOn: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { id: OBJECT_ID, title: { type: "string" } },
+      },
+    },
+  },
+};
+
+const SEARCH_HIT_SCHEMA = {
+  allOf: [
+    { $ref: "#/components/schemas/Movie" },
+    {
+      type: "object",
+      properties: {
+        score: { type: "number" },
+        highlights: {
+          type: "object",
+          description: "Campos que coinciden, en HTML con las palabras entre <mark>",
+          properties: {
+            title: { type: "string" },
+            director: { type: "string" },
+            genre: { type: "array", items: { type: "string" } },
+          },
+        },
+      },
+    },
+  ],
+};
+
+const TITLE_MATCH_SCHEMA = {
+  type: "object",
+  properties: { id: OBJECT_ID, title: { type: "string" }, year: { type: "integer" } },
+};
+
+const IMPORT_COUNT = { type: "integer", minimum: 0 };
+
+// Resultado de POST /movies/import (ver importMovies en services/movie-import.service.js)
+const IMPORT_REPORT_SCHEMA = {
+  type: "object",
+  properties: {
+    mode: { type: "string", enum: ["validate", "commit"] },
+    dryRun: { type: "boolean" },
+    summary: {
+      type: "object",
+      properties: {
+        deleted: IMPORT_COUNT,
+        created: IMPORT_COUNT,
+        updated: IMPORT_COUNT,
+        skipped: IMPORT_COUNT,
+        rejected: IMPORT_COUNT,
+      },
+    },
+    results: {
+      type: "array",
+      description: "Resultado de cada fila, hasta las 1000 primeras",
+      items: {
+        type: "object",
+        properties: {
+          index: { type: "integer" },
+          status: {
+            type: "string",
+            enum: ["created", "updated", "skipped", "rejected"],
+          },
+          id: OBJECT_ID,
+          title: { type: "string" },
+          year: { type: "integer" },
+          errors: {
+            type: "object",
+            description: "Mensajes de validación por campo (filas rechazadas)",
+            additionalProperties: { type: "string" },
+          },
+        },
+        required: ["index", "status"],
+      },
+    },
+    truncated: {
+      type: "boolean",
+      description: "Si había más filas que las detalladas en results",
+    },
+  },
+};
+
+const SETTINGS_SCHEMA = {
+  type: "object",
+  properties: Object.fromEntries(
+    Object.entries(SETTINGS).map(([name, { type, default: value }]) => [
+      name,
+      { type, default: value },
+    ]),
+  ),
+};
+
+const PROBLEM_SCHEMA = {
+  type: "object",
+  properties: {
+    type: { type: "string" },
+    title: { type: "string" },
+    status: { type: "integer" },
+    code: { type: "string" },
+    detail: { type: "string" },
+    instance: { type: "string" },
+    requestId: { type: "string" },
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string" },
+          code: { type: "string" },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+// Rutas del router en el orden en que se declararon: [{ method, path, handlers }]
+export function collectRoutes(router) {
+  return router.stack
+    .filter((layer) => layer.route)
+    .flatMap(({ route }) =>
+      Object.keys(route.methods).map((method) => ({
+        method: method.toUpperCase(),
+        path: route.path,
+        handlers: route.stack.map((layer) => layer.handle),
+      })),
+    );
+}
+
+// "/movies/:id" → "/movies/{id}"
+export function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+function optionValue(option) {
+  return Array.isArray(option) ? option[0] : option;
+}
+
+// Esquema JSON de un campo de Mongoose
+function schemaTypeToJson(schemaType) {
+  const { options } = schemaType;
+
+  switch (schemaType.instance) {
+    case "String":
+      return {
+        type: "string",
+        ...(schemaType.enumValues?.length && { enum: schemaType.enumValues }),
+        ...(options.minlength && { minLength: optionValue(options.minlength) }),
+        ...(options.maxlength && { maxLength: optionValue(options.maxlength) }),
+        ...(options.match && { pattern: optionValue(options.match).source }),
+      };
+    case "Number":
+      return {
+        type: "number",
+        ...(options.min !== undefined && { minimum: optionValue(options.min) }),
+        ...(options.max !== undefined && { maximum: optionValue(options.max) }),
+      };
+    case "Boolean":
+      return { type: "boolean" };
+    case "Date":
+      return { type: "string", format: "date-time" };
+    case "ObjectId":
+      return {
+        ...OBJECT_ID,
+        ...(options.ref && { description: `Id de ${options.ref}` }),
+      };
+    case "Array":
+      return {
+        type: "array",
+        items: schemaType.schema
+          ? subdocumentToJson(schemaType.schema)
+          : schemaTypeToJson(schemaType.embeddedSchemaType),
+      };
+    default:
+      return {};
+  }
+}
+
+// Subdocumentos de un array (p. ej. los cambios de una entrada del historial)
+function subdocumentToJson(schema) {
+  const paths = Object.entries(schema.paths).filter(([path]) => path !== "_id");
+
+  return {
+    type: "object",
+    properties: Object.fromEntries(
+      paths.map(([path, schemaType]) => [path, schemaTypeToJson(schemaType)]),
+    ),
+  };
+}
+
+export function modelToJsonSchema(model, { hidden = [] } = {}) {
+  const properties = { id: OBJECT_ID };
+  const required = ["id"];
+
+  for (const [path, schemaType] of Object.entries(model.schema.paths)) {
+    if (["_id", "__v", ...hidden].includes(path)) {
+      continue;
+    }
+
+    properties[path] = schemaTypeToJson(schemaType);
+    if (schemaType.isRequired) {
+      required.push(path);
+    }
+  }
+
+  return { type: "object", properties, required };
+}
+
+// Esquema JSON de un campo declarado con validate()
+function fieldToJson(spec) {
+  const types = {
+    string: { type: "string" },
+    number: { type: "number" },
+    integer: { type: "integer" },
+    boolean: { type: "boolean" },
+    date: { type: "string", format: "date" },
+    objectId: OBJECT_ID,
+    any: {},
+  };
+  const schema =
+    spec.type === "array"
+      ? { type: "array", items: fieldToJson(spec.items ?? { type: "any" }) }
+      : { ...types[spec.type] };
+
+  if (spec.enum) schema.enum = spec.enum;
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.match) schema.pattern = spec.match.source;
+  if (spec.default !== undefined) schema.default = spec.default;
+
+  return schema;
+}
+
+function fieldsToJson(fields) {
+  const required = Object.keys(fields).filter((name) => fields[name].required);
+
+  return {
+    type: "object",
+    properties: Object.fromEntries(
+      Object.entries(fields).map(([name, spec]) => [name, fieldToJson(spec)]),
+    ),
+    ...(required.length && { required }),
+  };
+}
+
+function parameters(location, fields = {}) {
+  return Object.entries(fields).map(([name, spec]) => ({
+    name,
+    in: location,
+    required: location === "path" || Boolean(spec.required),
+    schema: fieldToJson(spec),
+    ...(spec.type === "array" && { style: "form", explode: false }),
+  }));
+}
+
+function pageSchema(name) {
+  return {
+    type: "object",
+    properties: {
+      data: { type: "array", items: { $ref: `#/components/schemas/${name}` } },
+      total: { type: "integer" },
+      page: { type: "integer" },
+      limit: { type: "integer" },
+      totalPages: { type: "integer" },
+      next: { type: "string", nullable: true },
+      previous: { type: "string", nullable: true },
+    },
+  };
+}
+
+function responseSchema(response) {
+  if (typeof response === "string") {
+    return { $ref: `#/components/schemas/${response}` };
+  }
+  if (Array.isArray(response)) {
+    return { type: "array", items: responseSchema(response[0]) };
+  }
+  if (response.cursorPage) {
+    const schema = pageSchema(response.cursorPage);
+    schema.properties.nextCursor = { type: "string", nullable: true };
+    return schema;
+  }
+  return pageSchema(response.page);
+}
+
+function problem(status) {
+  return {
+    description: STATUS_CODES[status],
+    content: {
+      "application/problem+json": {
+        schema: { $ref: "#/components/schemas/Problem" },
+      },
+    },
+  };
+}
+
+// Cabeceras de las operaciones con ETag (ver `conditional` en config/openapi.config.js)
+function conditionalHeaders(method) {
+  const name = method === "GET" ? "If-None-Match" : "If-Match";
+
+  return [
+    {
+      name,
+      in: "header",
+      required: false,
+      description: "ETag devuelto por una respuesta anterior",
+      schema: { type: "string" },
+    },
+  ];
+}
+
+function buildOperation(
+  { method, path, handlers },
+  { tag, summary, responses, conditional = false, upload },
+) {
+  const schema = handlers.find((handler) => handler.schema)?.schema ?? {};
+  const auth = handlers.find((handler) => handler.roles);
+  const rateLimit = handlers.find((handler) => handler.rateLimit)?.rateLimit;
+  const isPublic = PUBLIC_ROUTES.some(
+    (route) => route.method === method && route.path === path,
+  );
+
+  const notes = [];
+  if (auth) {
+    notes.push(
+      auth.allowsSelf
+        ? `Solo el propio usuario o los roles: ${auth.roles.join(", ")}.`
+        : `Requiere el rol: ${auth.roles.join(", ")}.`,
+    );
+  }
+  if (rateLimit) {
+    notes.push(`Sujeto al límite de peticiones \`${rateLimit}\`.`);
+  }
+
+  const operation = {
+    tags: [tag],
+    summary,
+    ...(notes.length && { description: notes.join(" ") }),
+    ...(isPublic && { security: [] }),
+    parameters: [
+      ...parameters("path", schema.params),
+      ...parameters("query", schema.query),
+      ...(conditional ? conditionalHeaders(method) : []),
+    ],
+    responses: {},
+  };
+
+  if (schema.body) {
+    operation.requestBody = {
+      required: Object.values(schema.body).some((spec) => spec.required),
+      content: { "application/json": { schema: fieldsToJson(schema.body) } },
+    };
+  }
+
+  if (upload) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        "multipart/form-data": {
+          schema: {
+            type: "object",
+            properties: { [upload]: { type: "string", format: "binary" } },
+            required: [upload],
+          },
+        },
+      },
+    };
+  }
+
+  for (const [status, response] of Object.entries(responses)) {
+    operation.responses[status] = {
+      description: STATUS_CODES[status],
+      ...(conditional && {
+        headers: { ETag: { schema: { type: "string" } } },
+      }),
+      ...(response && {
+        content: { "application/json": { schema: responseSchema(response) } },
+      }),
+    };
+  }
+
+  if (conditional && method === "GET") {
+    operation.responses[304] = { description: STATUS_CODES[304] };
+  }
+
+  const errors = [];
+  if (schema.params || schema.query || schema.body) errors.push(400);
+  if (!isPublic) errors.push(401);
+  if (auth || (!isPublic && method !== "GET")) errors.push(403);
+  if (schema.params) errors.push(404);
+  if (conditional && method !== "GET") errors.push(409, 412, 428);
+  if (rateLimit) errors.push(429);
+  errors.forEach((status) => {
+    operation.responses[status] = problem(status);
+  });
+
+  return operation;
+}
+
+// Genera la especificación OpenAPI 3 a partir de las rutas del router, los
+// esquemas de validate() y los modelos de Mongoose
+export function buildOpenApiSpec(router) {
+  const paths = {};
+
+  for (const route of collectRoutes(router)) {
+    const description = OPERATIONS[`${route.method} ${route.path}`];
+
+    // Las rutas sin descripción no se publican (y los tests lo detectan)
+    if (!description) {
+      continue;
+    }
+
+    const path = toOpenApiPath(route.path);
+    paths[path] ??= {};
+    paths[path][route.method.toLowerCase()] = buildOperation(route, description);
+  }
+
+  const schemas = Object.fromEntries(
+    Object.entries(MODELS).map(([name, { model, hidden }]) => [
+      name,
+      modelToJsonSchema(model, { hidden }),
+    ]),
+  );
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Movies API",
+      version,
+      description: "API REST de películas, valoraciones y usuarios.",
+    },
+    servers: [{ url: `${config.appUrl}${API_PREFIX}` }],
+    tags: [...new Set(Object.values(OPERATIONS).map(({ tag }) => tag))].map(
+      (name) => ({ name }),
+    ),
+    security: [{ sessionCookie: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        sessionCookie: { type: "apiKey", in: "cookie", name: "sessionId" },
+      },
+      schemas: {
+        ...schemas,
+        Suggestion: SUGGESTION_SCHEMA,
+        SearchHit: SEARCH_HIT_SCHEMA,
+        TitleMatch: TITLE_MATCH_SCHEMA,
+        ImportReport: IMPORT_REPORT_SCHEMA,
+        Settings: SETTINGS_SCHEMA,
+        Problem: PROBLEM_SCHEMA,
+      },
+    },
+  };
+}
+
+// Valor de ejemplo para el body de Postman a partir del esquema de un campo
+function exampleValue(name, schema) {
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum) return schema.enum[0];
+  if (schema.pattern === OBJECT_ID.pattern) return `{{${name}Id}}`;
+
+  switch (schema.type) {
+    case "integer":
+    case "number":
+      return schema.minimum ?? 1;
+    case "boolean":
+      return true;
+    case "array":
+      return [exampleValue(name, schema.items)];
+    case "string":
+      return schema.format === "date" ? "2000-01-01" : `<${name}>`;
+    default:
+      return `<${name}>`;
+  }
+}
+
+// Variable de la colección para un parámetro de ruta: ":movieId" → movieId y el
+// ":id" de /movies/:id → movieId
+function pathVariable(segments, name) {
+  if (name !== "id") {
+    return name;
+  }
+
+  const resource = segments[segments.indexOf(":id") - 1];
+  return `${resource.replace(/s$/, "")}Id`;
+}
+
+// Colección de Postman (v2.1) con una carpeta por etiqueta de la especificación
+export function toPostmanCollection(spec) {
+  const folders = new Map(spec.tags.map(({ name }) => [name, []]));
+  const variables = new Set(["baseUrl"]);
+
+  for (const [path, operations] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const segments = path
+        .split("/")
+        .filter(Boolean)
+        .map((segment) => segment.replace(/^\{(\w+)\}$/, ":$1"));
+      const pathParams = operation.parameters.filter((param) => param.in === "path");
+      const query = operation.parameters
+        .filter((param) => param.in === "query" && param.required)
+        .map(({ name, schema }) => ({ key: name, value: exampleValue(name, schema) }));
+      const search = query.length
+        ? `?${query.map(({ key, value }) => `${key}=${value}`).join("&")}`
+        : "";
+      const body = operation.requestBody?.content["application/json"]?.schema;
+      const form = operation.requestBody?.content["multipart/form-data"]?.schema;
+
+      const request = {
+        method: method.toUpperCase(),
+        url: {
+          raw: `{{baseUrl}}/${segments.join("/")}${search}`,
+          host: ["{{baseUrl}}"],
+          path: segments,
+          ...(query.length && { query }),
+          ...(pathParams.length && {
+            variable: pathParams.map(({ name }) => {
+              const variable = pathVariable(segments, name);
+              variables.add(variable);
+              return { key: name, value: `{{${variable}}}` };
+            }),
+          }),
+        },
+      };
+
+      if (body) {
+        const example = Object.fromEntries(
+          Object.entries(body.properties)
+            .filter(([name]) => body.required?.includes(name) ?? false)
+            .map(([name, schema]) => [name, exampleValue(name, schema)]),
+        );
+        Object.values(example)
+          .flat()
+          .forEach((value) => {
+            const variable = String(value).match(/^\{\{(\w+)\}\}$/)?.[1];
+            if (variable) variables.add(variable);
+          });
+
+        request.header = [{ key: "Content-Type", value: "application/json" }];
+        request.body = { mode: "raw", raw: JSON.stringify(example, null, "\t") };
+      }
+
+      // Postman pone él mismo el Content-Type con el boundary del multipart
+      if (form) {
+        request.body = {
+          mode: "formdata",
+          formdata: Object.keys(form.properties).map((key) => ({
+            key,
+            type: "file",
+            src: [],
+          })),
+        };
+      }
+
+      folders.get(operation.tags[0]).push({ name: operation.summary, request });
+    }
+  }
+
+  return {
+    info: {
+      name: spec.info.title,
+      description: `${spec.info.description} Generada desde /openapi.json con npm run export:postman.`,
+      schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json",
+    },
+    variable: [...variables].map((key) => ({
+      key,
+      value: key === "baseUrl" ? spec.servers[0].url : "<REEMPLAZAR_CON_ID_REAL>",
+    })),
+    item: [...folders].map(([name, item]) => ({ name, item })),
+  };
+}
@@ -0,0 +1,70 @@
+// Almacén de contadores con ventana fija. Cualquier objeto con estos tres métodos
+// async sirve como almacén (p. ej. uno sobre Redis para varias instancias):
+//   increment(key, windowMs) → { count, resetAt }
+//   get(key)                 → { count, resetAt } | null
+//   reset(key)
+
+const SWEEP_EVERY = 1000;
+
+export function createMemoryStore() {
+  const counters = new Map();
+  let operations = 0;
+
+  function current(key) {
+    const entry = counters.get(key);
+
+    if (entry && entry.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+
+    return entry ?? null;
+  }
+
+  // Elimina de vez en cuando los contadores caducados que nadie ha vuelto a leer
+  function sweep() {
+    const now = Date.now();
+
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }
+
+  return {
+    async increment(key, windowMs) {
+      if (++operations % SWEEP_EVERY === 0) {
+        sweep();
+      }
+
+      const entry = current(key) ?? {
+        count: 0,
+        resetAt: Date.now() + windowMs,
+      };
+      entry.count++;
+      counters.set(key, entry);
+
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = current(key);
+      return entry && { ...entry };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+export function setStore(newStore) {
+  store = newStore;
+}
+
+export function getStore() {
+  return store;
+}
@@ -0,0 +1,122 @@
+import Movie, { CASE_INSENSITIVE } from "../models/movie.model.js";
+import Rating from "../models/rating.model.js";
+
+// Peso de cada criterio en la similitud (suman 1)
+const WEIGHTS = { genre: 0.5, director: 0.3, rating: 0.2 };
+
+// Puntuación mínima para considerar que a un usuario le gustó una película
+const LIKED_SCORE = 4;
+
+// Candidatas que se puntúan como mucho; si hay más, se quedan las más valoradas
+const MAX_CANDIDATES = 500;
+
+function sameText(a, b) {
+  return Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Similitud entre dos películas, entre 0 y 1, con el detalle de lo que comparten:
+//   - géneros en común (índice de Jaccard)
+//   - mismo director
+//   - cercanía de la nota media de las valoraciones (1-5)
+export function similarity(base, candidate) {
+  const baseGenres = base.genre.map((genre) => genre.toLowerCase());
+  const candidateGenres = candidate.genre.map((genre) => genre.toLowerCase());
+  const sharedGenres = candidate.genre.filter((genre, i) =>
+    baseGenres.includes(candidateGenres[i]),
+  );
+  const allGenres = new Set([...baseGenres, ...candidateGenres]);
+  const sameDirector = sameText(base.director, candidate.director);
+
+  const genreScore = allGenres.size ? sharedGenres.length / allGenres.size : 0;
+  const ratingScore =
+    base.averageScore != null && candidate.averageScore != null
+      ? 1 - Math.abs(base.averageScore - candidate.averageScore) / 4
+      : 0;
+
+  const score =
+    WEIGHTS.genre * genreScore +
+    WEIGHTS.director * Number(sameDirector) +
+    WEIGHTS.rating * ratingScore;
+
+  return { score: Math.round(score * 10000) / 10000, sharedGenres, sameDirector };
+}
+
+// Orden estable: más puntuación, mejor nota media, título y por último el id
+function compareSuggestions(a, b) {
+  return (
+    b.score - a.score ||
+    (b.movie.averageScore ?? 0) - (a.movie.averageScore ?? 0) ||
+    a.movie.title.localeCompare(b.movie.title) ||
+    a.movie.id.localeCompare(b.movie.id)
+  );
+}
+
+// Películas que comparten al menos un género o el director con alguna de `movies`.
+// Como en similarity(), sin distinguir mayúsculas; la collation es la de los índices
+// de genre y director, así que la búsqueda los usa.
+function findCandidates(movies, excludeIds) {
+  return Movie.find({
+    _id: { $nin: excludeIds },
+    $or: [
+      { genre: { $in: movies.flatMap((movie) => movie.genre) } },
+      { director: { $in: movies.map((movie) => movie.director) } },
+    ],
+  })
+    .collation(CASE_INSENSITIVE)
+    .sort({ ratingsCount: -1, _id: 1 })
+    .limit(MAX_CANDIDATES);
+}
+
+// Películas parecidas a `movie`: [{ movie, score, sharedGenres, sameDirector }]
+export async function findSimilar(movie, { limit }) {
+  const candidates = await findCandidates([movie], [movie._id]);
+
+  return candidates
+    .map((candidate) => ({ movie: candidate, ...similarity(movie, candidate) }))
+    .filter((suggestion) => suggestion.sharedGenres.length || suggestion.sameDirector)
+    .sort(compareSuggestions)
+    .slice(0, limit);
+}
+
+// Recomendaciones para un usuario a partir de las películas que valoró con 4 o 5.
+// Cada candidata puntúa por su similitud media con ellas (las de 5 pesan el doble
+// que las de 4) y nunca se recomienda una película que ya haya valorado.
+// Devuelve [{ movie, score, basedOn }], donde basedOn son las películas valoradas
+// que más han contribuido.
+export async function recommendFor(userId, { limit }) {
+  const ratings = await Rating.find({ user: userId }).populate("movie");
+  const liked = ratings.filter((rating) => rating.movie && rating.score >= LIKED_SCORE);
+
+  if (!liked.length) {
+    return [];
+  }
+
+  const ratedIds = ratings.map((rating) => rating.movie?._id).filter(Boolean);
+  const candidates = await findCandidates(
+    liked.map((rating) => rating.movie),
+    ratedIds,
+  );
+  const totalWeight = liked.reduce((total, rating) => total + rating.score - 3, 0);
+
+  return candidates
+    .map((candidate) => {
+      const contributions = liked
+        .map((rating) => ({
+          movie: rating.movie,
+          value: similarity(rating.movie, candidate).score * (rating.score - 3),
+        }))
+        .filter(({ value }) => value > 0);
+
+      const score =
+        contributions.reduce((total, { value }) => total + value, 0) / totalWeight;
+      const basedOn = contributions
+        .sort((a, b) => b.value - a.value || a.movie.id.localeCompare(b.movie.id))
+        .slice(0, 3)
+        .map(({ movie }) => ({ id: movie.id, title: movie.title }));
+
+      return { movie: candidate, score: Math.round(score * 10000) / 10000, basedOn };
+    })
+    .filter((suggestion) => suggestion.score > 0)
+    .sort(compareSuggestions)
+    .slice(0, limit);
+}
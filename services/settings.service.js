@@ -0,0 +1,38 @@
+import { config } from "../config/env.config.js";
+import Setting from "../models/setting.model.js";
+
+// Ajustes que los admins pueden cambiar en caliente con PATCH /settings. El valor
+// por defecto se usa mientras nadie los cambie.
+export const SETTINGS = {
+  // Exigir If-Match en las ediciones y borrados de películas, valoraciones y usuarios
+  requireIfMatch: {
+    type: "boolean",
+    default: config.requireIfMatch,
+  },
+};
+
+export async function getSettings() {
+  const settings = Object.fromEntries(
+    Object.entries(SETTINGS).map(([name, { default: value }]) => [name, value]),
+  );
+
+  const stored = await Setting.find({ _id: { $in: Object.keys(SETTINGS) } });
+  stored.forEach(({ _id, value }) => {
+    settings[_id] = value;
+  });
+
+  return settings;
+}
+
+export async function getSetting(name) {
+  const stored = await Setting.findById(name);
+  return stored ? stored.value : SETTINGS[name].default;
+}
+
+export async function updateSettings(changes) {
+  for (const [name, value] of Object.entries(changes)) {
+    await Setting.updateOne({ _id: name }, { value }, { upsert: true });
+  }
+
+  return getSettings();
+}
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import { config } from "../config/env.config.js";
+import { logger } from "./logger.service.js";
+
+// Apagado ordenado: el servidor deja de aceptar conexiones, se espera a que
+// terminen las peticiones en curso (como mucho timeoutMs, después se cortan) y se
+// cierra la conexión con MongoDB
+export async function shutdown(server, { timeoutMs = config.shutdownTimeoutMs } = {}) {
+  const closed = new Promise((resolve, reject) => {
+    server.close((err) => (err ? reject(err) : resolve()));
+  });
+  // Las conexiones keep-alive siguen abiertas tras responder: se cierran en cuanto
+  // quedan libres para que close() no tenga que esperar al timeout
+  const idle = setInterval(() => server.closeIdleConnections(), 100);
+  const timer = setTimeout(() => server.closeAllConnections(), timeoutMs);
+
+  try {
+    await closed;
+  } finally {
+    clearInterval(idle);
+    clearTimeout(timer);
+  }
+
+  await mongoose.disconnect();
+}
+
+let shuttingDown = false;
+
+// Mientras se apaga, GET /ready responde 503 para que el balanceador deje de
+// enviar peticiones nuevas
+export function isShuttingDown() {
+  return shuttingDown;
+}
+
+// SIGTERM (docker stop, Kubernetes…) y SIGINT (Ctrl+C) apagan el servidor con
+// shutdown(). Una segunda señal termina el proceso sin esperar.
+export function handleShutdownSignals(server, { beforeShutdown } = {}) {
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, async () => {
+      if (shuttingDown) {
+        process.exit(1);
+      }
+
+      shuttingDown = true;
+      logger.info("shutting down", { signal });
+
+      try {
+        beforeShutdown?.();
+        await shutdown(server);
+        process.exit(0);
+      } catch (err) {
+        logger.error("shutdown failed", { error: err });
+        process.exit(1);
+      }
+    });
+  }
+}
@@ -0,0 +1,136 @@
+import { withTransaction } from "../config/db.config.js";
+import { TRASH_PURGE_INTERVAL_MS, TRASH_RETENTION_MS } from "../config/trash.config.js";
+import Movie from "../models/movie.model.js";
+import Rating from "../models/rating.model.js";
+import WatchlistItem from "../models/watchlist-item.model.js";
+import Viewing from "../models/viewing.model.js";
+import { recordChange, snapshot } from "./audit.service.js";
+import { logger } from "./logger.service.js";
+
+// Los cambios quedan en el historial atribuidos a `context` (ver auditContext)
+function record(context, action, type, doc, before, after) {
+  return recordChange(context, { action, type, id: doc._id, before, after });
+}
+
+// Las valoraciones que cambian en bloque con su película o su autor también quedan
+// en su propio historial. `ratings` es su estado antes del cambio y `changes` lo
+// que cambió en todas, o null si se han borrado definitivamente.
+export async function recordRatings(context, action, ratings, changes) {
+  for (const rating of ratings) {
+    const before = snapshot(rating);
+    const after = changes && { ...before, ...changes };
+    await record(context, action, "Rating", rating, before, after);
+  }
+}
+
+// Manda la película a la papelera junto con sus valoraciones. Comparten deletedAt
+// para que al restaurarla vuelvan solo las que se borraron con ella.
+export async function trashMovie(movie, context = {}) {
+  const before = snapshot(movie);
+  const deletedAt = new Date();
+
+  const ratings = await withTransaction(async (session) => {
+    const ratings = await Rating.find({ movie: movie._id }).session(session);
+    await Movie.updateOne({ _id: movie._id }, { deletedAt }, { session });
+    await Rating.updateMany({ movie: movie._id, deletedAt: null }, { deletedAt }, { session });
+    return ratings;
+  });
+
+  movie.deletedAt = deletedAt;
+  await record(context, "delete", "Movie", movie, before, snapshot(movie));
+  await recordRatings(context, "delete", ratings, { deletedAt });
+}
+
+export async function restoreMovie(movie, context = {}) {
+  const before = snapshot(movie);
+  const { deletedAt } = movie;
+
+  const ratings = await withTransaction(async (session) => {
+    const ratings = await Rating.find({ movie: movie._id, deletedAt }).session(session);
+    await Movie.updateOne({ _id: movie._id, deletedAt }, { deletedAt: null }, { session });
+    await Rating.updateMany({ movie: movie._id, deletedAt }, { deletedAt: null }, { session });
+    await Rating.updateMovieStats(movie._id, { session });
+    return ratings;
+  });
+
+  movie.deletedAt = null;
+  await record(context, "restore", "Movie", movie, before, snapshot(movie));
+  await recordRatings(context, "restore", ratings, { deletedAt: null });
+}
+
+// Borrado definitivo de la película y de todo lo que depende de ella. La watchlist
+// y el historial se conservan mientras está en la papelera por si se restaura.
+export async function purgeMovie(movie, context = {}) {
+  const ratings = await withTransaction(async (session) => {
+    const ratings = await Rating.findWithTrashed({ movie: movie._id }, { session });
+    await Movie.deleteOne({ _id: movie._id }, { session });
+    await Rating.deleteMany({ movie: movie._id }, { session });
+    await WatchlistItem.deleteMany({ movie: movie._id }, { session });
+    await Viewing.deleteMany({ movie: movie._id }, { session });
+    return ratings;
+  });
+
+  await record(context, "purge", "Movie", movie, snapshot(movie), null);
+  await recordRatings(context, "purge", ratings, null);
+}
+
+export async function trashRating(rating, context = {}) {
+  const before = snapshot(rating);
+
+  rating.deletedAt = new Date();
+  await rating.save();
+  await Rating.updateMovieStats(rating.movie);
+
+  await record(context, "delete", "Rating", rating, before, snapshot(rating));
+}
+
+export async function restoreRating(rating, context = {}) {
+  const before = snapshot(rating);
+
+  rating.deletedAt = null;
+  await rating.save();
+  await Rating.updateMovieStats(rating.movie);
+
+  await record(context, "restore", "Rating", rating, before, snapshot(rating));
+}
+
+export async function purgeRating(rating, context = {}) {
+  await rating.deleteOne();
+  await record(context, "purge", "Rating", rating, snapshot(rating), null);
+}
+
+// Borra definitivamente lo que lleva en la papelera más del periodo de retención
+export async function purgeExpired({ now = new Date() } = {}) {
+  const expired = { deletedAt: { $ne: null, $lt: new Date(now - TRASH_RETENTION_MS) } };
+  const purged = { movies: 0, ratings: 0 };
+
+  for await (const movie of Movie.find(expired)) {
+    await purgeMovie(movie);
+    purged.movies++;
+  }
+
+  for await (const rating of Rating.find(expired)) {
+    await purgeRating(rating);
+    purged.ratings++;
+  }
+
+  return purged;
+}
+
+// Vaciado periódico de la papelera. El temporizador no mantiene vivo el proceso.
+export function schedulePurge() {
+  const timer = setInterval(async () => {
+    try {
+      const purged = await purgeExpired();
+
+      if (purged.movies || purged.ratings) {
+        logger.info("trash purged", purged);
+      }
+    } catch (err) {
+      logger.error("trash purge failed", { error: err });
+    }
+  }, TRASH_PURGE_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+}
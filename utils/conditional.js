@@ -0,0 +1,39 @@
+import { createHash } from "node:crypto";
+import createError from "http-errors";
+import { getSetting } from "../services/settings.service.js";
+
+// ETag fuerte derivado de la versión del documento (ver models/versioning.plugin.js).
+// `extra` añade lo que la representación tenga de más y no cambie la versión,
+// p. ej. si la película está en la watchlist de quien la pide.
+export function entityTag(doc, ...extra) {
+  const hash = createHash("sha1")
+    .update(JSON.stringify([doc.constructor.modelName, doc.id, doc.__v, ...extra]))
+    .digest("base64url");
+
+  return `"${hash.slice(0, 20)}"`;
+}
+
+// Comprueba If-Match antes de una edición o un borrado: 412 si el cliente partía de
+// otra versión, y 428 si no lo envía y los admins han hecho obligatoria la cabecera.
+// Las respuestas a If-None-Match (304) las resuelve Express al enviar el ETag.
+export async function checkIfMatch(req, etag) {
+  const header = req.get("If-Match");
+
+  if (header === undefined) {
+    if (await getSetting("requireIfMatch")) {
+      throw createError(428, 'This request requires an "If-Match" header', {
+        code: "PRECONDITION_REQUIRED",
+      });
+    }
+    return;
+  }
+
+  const tags = header.split(",").map((tag) => tag.trim());
+
+  if (!tags.includes("*") && !tags.includes(etag)) {
+    throw createError(412, "The resource has changed since it was fetched", {
+      code: "PRECONDITION_FAILED",
+      headers: { ETag: etag },
+    });
+  }
+}
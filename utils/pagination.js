@@ -0,0 +1,149 @@
+import createError from "http-errors";
+
+// Parámetros de paginación comunes a los listados, para declararlos en validate()
+export const paginationQuery = {
+  page: { type: "integer", min: 1, default: 1 },
+  limit: { type: "integer", min: 1, max: 100, default: 20 },
+};
+
+// Los listados que admiten cursor (ver paginateWithCursor)
+export const cursorPaginationQuery = {
+  ...paginationQuery,
+  cursor: { type: "string" },
+};
+
+// Enlace a la misma ruta con la misma query salvo la posición (page o cursor)
+function link(req, position) {
+  const params = new URLSearchParams();
+
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key !== "page" && key !== "cursor" && value !== undefined) {
+      [value].flat().forEach((item) => params.append(key, item));
+    }
+  }
+  for (const [key, value] of Object.entries(position)) {
+    params.set(key, value);
+  }
+
+  return `${req.baseUrl}${req.path}?${params}`;
+}
+
+function pageLink(req, page) {
+  return link(req, { page });
+}
+
+// Ejecuta una búsqueda paginada con los page y limit (ya validados) de la query y
+// devuelve el sobre común { data, total, page, limit, totalPages, next, previous }.
+// `collation` se aplica tanto a la búsqueda como al recuento.
+export async function paginate(
+  req,
+  model,
+  filter,
+  { sort = { _id: 1 }, populate, projection, collation } = {},
+) {
+  const { page, limit } = req.query;
+
+  const query = model
+    .find(filter, projection)
+    .sort(sort)
+    .skip((page - 1) * limit)
+    .limit(limit);
+  const count = model.countDocuments(filter);
+
+  if (populate) {
+    query.populate(populate);
+  }
+
+  if (collation) {
+    query.collation(collation);
+    count.collation(collation);
+  }
+
+  const [data, total] = await Promise.all([query, count]);
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    data,
+    total,
+    page,
+    limit,
+    totalPages,
+    next: page < totalPages ? pageLink(req, page + 1) : null,
+    previous: page > 1 ? pageLink(req, Math.min(page - 1, totalPages || 1)) : null,
+  };
+}
+
+// Cursor opaco con los valores de los campos de `sort` del último documento
+// devuelto. Incluye el orden para rechazar cursores de otro listado.
+function encodeCursor(doc, sort) {
+  const after = Object.keys(sort).map((field) => doc.get(field));
+  return Buffer.from(JSON.stringify({ sort, after })).toString("base64url");
+}
+
+// Filtro de los documentos que van detrás del cursor en el orden `sort`:
+// { a: -1, _id: -1 } → a < v1, o a = v1 y _id < v2
+function afterCursor(cursor, sort) {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch {
+    decoded = null;
+  }
+
+  const fields = Object.keys(sort);
+
+  if (
+    JSON.stringify(decoded?.sort) !== JSON.stringify(sort) ||
+    !Array.isArray(decoded.after) ||
+    decoded.after.length !== fields.length
+  ) {
+    throw createError(400, "Invalid cursor", { code: "INVALID_CURSOR" });
+  }
+
+  return {
+    $or: fields.map((field, i) => ({
+      ...Object.fromEntries(fields.slice(0, i).map((prev, j) => [prev, decoded.after[j]])),
+      [field]: { [sort[field] === 1 ? "$gt" : "$lt"]: decoded.after[i] },
+    })),
+  };
+}
+
+// Como paginate(), pero además devuelve nextCursor para seguir por cursor. Con
+// ?cursor=... se ignora page: la página empieza justo después del documento del
+// cursor, así que las inserciones no desplazan los resultados, y el sobre se reduce
+// a { data, limit, nextCursor, next } (sin contar el total).
+// `sort` tiene que terminar en _id para que el orden no tenga empates.
+export async function paginateWithCursor(req, model, filter, options) {
+  const { sort, populate } = options;
+  const { cursor, limit } = req.query;
+
+  if (cursor === undefined) {
+    const result = await paginate(req, model, filter, options);
+
+    return {
+      ...result,
+      nextCursor: result.next ? encodeCursor(result.data.at(-1), sort) : null,
+    };
+  }
+
+  const query = model
+    .find({ $and: [filter, afterCursor(cursor, sort)] })
+    .sort(sort)
+    .limit(limit + 1);
+
+  if (populate) {
+    query.populate(populate);
+  }
+
+  const documents = await query;
+  const data = documents.slice(0, limit);
+  const nextCursor = documents.length > limit ? encodeCursor(data.at(-1), sort) : null;
+
+  return {
+    data,
+    limit,
+    nextCursor,
+    next: nextCursor && link(req, { cursor: nextCursor }),
+  };
+}
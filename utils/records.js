@@ -0,0 +1,232 @@
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import createError from "http-errors";
+
+// Formatos de exportación según la cabecera Accept (el primero es el de por defecto)
+const EXPORT_FORMATS = {
+  "text/csv": "csv",
+  "application/x-ndjson": "ndjson",
+};
+
+// Los arrays se guardan en una sola celda separados por "|"
+export const CSV_LIST_SEPARATOR = "|";
+
+// Caracteres con los que una hoja de cálculo interpreta la celda como una fórmula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = Array.isArray(value)
+    ? value.join(CSV_LIST_SEPARATOR)
+    : value instanceof Date
+      ? value.toISOString()
+      : String(value);
+
+  // Los textos de los usuarios ("=HYPERLINK(...)") se exportan como texto, no como
+  // fórmula. Los números negativos no se tocan.
+  if (typeof value !== "number" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+export function csvLine(values) {
+  return `${values.map(csvCell).join(",")}\n`;
+}
+
+// Filas de un CSV (RFC 4180) como arrays de strings, leyendo el stream poco a poco
+async function* parseCsvRows(source) {
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let previous = "";
+
+  for await (const chunk of source) {
+    for (const char of String(chunk)) {
+      if (inQuotes) {
+        if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        // "" dentro de un campo entrecomillado es una comilla literal
+        if (previous === '"') {
+          field += '"';
+        }
+        inQuotes = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\n") {
+        row.push(field);
+        yield row;
+        row = [];
+        field = "";
+      } else if (char !== "\r") {
+        field += char;
+      }
+
+      previous = char;
+    }
+  }
+
+  if (inQuotes) {
+    throw createError(400, "Malformed CSV: unterminated quoted field", {
+      code: "INVALID_FILE",
+    });
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    yield row;
+  }
+}
+
+// Registros de un CSV con cabecera: { columna: valor }. Las filas vacías se ignoran y
+// las que no tienen el mismo número de columnas que la cabecera se devuelven como Error.
+export async function* parseCsv(source) {
+  let header;
+
+  for await (const row of parseCsvRows(source)) {
+    if (row.length === 1 && row[0].trim() === "") {
+      continue;
+    }
+
+    if (!header) {
+      header = row.map((name) => name.trim());
+      continue;
+    }
+
+    if (row.length !== header.length) {
+      yield new Error(`Expected ${header.length} columns but found ${row.length}`);
+      continue;
+    }
+
+    yield Object.fromEntries(header.map((name, i) => [name, row[i]]));
+  }
+}
+
+function parseJsonRecord(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return new Error(`Invalid JSON: ${err.message}`);
+  }
+}
+
+// Registros de un array JSON ([{...}, {...}]) o de un NDJSON (un objeto por línea),
+// sin cargar el archivo entero. Los elementos que no son JSON válido se devuelven
+// como Error.
+export async function* parseJson(source) {
+  let format = null;
+  let buffer = "";
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let closed = false;
+
+  for await (const chunk of source) {
+    for (const char of String(chunk)) {
+      if (format === null) {
+        if (/\s/.test(char)) continue;
+        format = char === "[" ? "array" : "lines";
+        if (format === "array") continue;
+      }
+
+      if (format === "lines") {
+        if (char === "\n") {
+          if (buffer.trim()) yield parseJsonRecord(buffer);
+          buffer = "";
+        } else {
+          buffer += char;
+        }
+        continue;
+      }
+
+      if (closed) {
+        if (!/\s/.test(char)) {
+          throw createError(400, "Malformed JSON: content after the array", {
+            code: "INVALID_FILE",
+          });
+        }
+        continue;
+      }
+
+      if (inString) {
+        buffer += char;
+        if (escaped) escaped = false;
+        else if (char === "\\") escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === "{" || char === "[") {
+        depth++;
+      } else if ((char === "}" || char === "]") && depth > 0) {
+        depth--;
+      } else if (char === "]" || (char === "," && depth === 0)) {
+        // Fin de un elemento del array (o del array entero)
+        if (buffer.trim()) yield parseJsonRecord(buffer);
+        buffer = "";
+        closed = char === "]";
+        continue;
+      }
+
+      buffer += char;
+    }
+  }
+
+  if (format === "array" && !closed) {
+    throw createError(400, "Malformed JSON: unterminated array", {
+      code: "INVALID_FILE",
+    });
+  }
+
+  if (format === "lines" && buffer.trim()) {
+    yield parseJsonRecord(buffer);
+  }
+}
+
+// Envía `documents` (un cursor o cualquier iterable) como CSV o NDJSON según la
+// cabecera Accept, escribiendo a medida que se leen de la base de datos.
+// `toRecord` convierte cada documento en un objeto plano con las `columns` indicadas.
+export async function sendRecords(req, res, documents, { columns, toRecord, filename }) {
+  const types = Object.keys(EXPORT_FORMATS);
+  const type = req.accepts(types);
+
+  if (!type) {
+    throw createError(406, `Export is available as ${types.join(" or ")}`);
+  }
+
+  const format = EXPORT_FORMATS[type];
+
+  async function* lines() {
+    if (format === "csv") {
+      yield csvLine(columns);
+    }
+
+    for await (const document of documents) {
+      const record = toRecord(document);
+      const values = columns.map((column) => record[column] ?? null);
+
+      if (format === "csv") {
+        yield csvLine(values);
+      } else {
+        const entries = columns.map((column, i) => [column, values[i]]);
+        yield `${JSON.stringify(Object.fromEntries(entries))}\n`;
+      }
+    }
+  }
+
+  // attachment() pone el tipo según la extensión, así que va antes de type()
+  res.attachment(`${filename}.${format}`);
+  res.type(type);
+  await pipeline(Readable.from(lines()), res);
+}
@@ -0,0 +1,41 @@
+const WORD = /[\p{L}\p{N}\p{M}]+/gu;
+
+// Minúsculas y sin tildes ni otros diacríticos: "Amélie" → "amelie"
+export function normalizeText(text) {
+  return text.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+// Palabras normalizadas de un texto: "L'Avventura (1960)" → ["l", "avventura", "1960"]
+export function words(text) {
+  return normalizeText(text).match(WORD) ?? [];
+}
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+}
+
+// Envuelve en <mark> las palabras del texto que están en `terms` (ya normalizados) y
+// escapa el resto como HTML. Devuelve null si ninguna coincide.
+export function highlight(text, terms) {
+  let matched = false;
+
+  const html = text
+    .split(/([\p{L}\p{N}\p{M}]+)/u)
+    .map((chunk, i) => {
+      // Con el grupo de captura, las posiciones impares son palabras
+      if (i % 2 && terms.has(normalizeText(chunk))) {
+        matched = true;
+        return `<mark>${escapeHtml(chunk)}</mark>`;
+      }
+      return escapeHtml(chunk);
+    })
+    .join("");
+
+  return matched ? html : null;
+}
@@ -0,0 +1,11 @@
+import { createHash, randomBytes } from "node:crypto";
+
+// Token aleatorio en claro para el cliente (cookie o enlace de correo)
+export function generateToken() {
+  return randomBytes(32).toString("hex");
+}
+
+// Lo que se guarda en la base de datos: quien la lea no puede usar el token
+export function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
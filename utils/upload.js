@@ -0,0 +1,40 @@
+import busboy from "busboy";
+import createError from "http-errors";
+
+// Recibe el archivo `fieldName` de una petición multipart/form-data sin guardarlo
+// en memoria ni en disco: resuelve con { stream, filename, mimeType } en cuanto
+// empieza a llegar y el stream se lee a medida que se consume.
+export function receiveFile(req, fieldName) {
+  return new Promise((resolve, reject) => {
+    if (!req.is("multipart/form-data")) {
+      reject(
+        createError(415, "Expected a multipart/form-data upload", {
+          code: "UNSUPPORTED_MEDIA_TYPE",
+        }),
+      );
+      return;
+    }
+
+    const parser = busboy({ headers: req.headers, limits: { files: 1 } });
+
+    parser.on("file", (name, stream, { filename, mimeType }) => {
+      if (name !== fieldName) {
+        stream.resume();
+        return;
+      }
+
+      resolve({ stream, filename, mimeType });
+    });
+    parser.on("error", (err) => reject(createError(400, err.message)));
+    // Si ya se resolvió, esto no tiene efecto
+    parser.on("close", () =>
+      reject(
+        createError(400, `No file uploaded in the "${fieldName}" field`, {
+          code: "MISSING_FILE",
+        }),
+      ),
+    );
+
+    req.pipe(parser);
+  });
+}